@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { LayerEdgeConnection, prepare, runCycle, shutdown, run } from './main.js';
+import { validateWallets, logWalletIssues } from './utils/signer.js';
+import { loadConfig } from './utils/config.js';
+import { LockError } from './utils/lockfile.js';
+import { shutdownSignal, handleShutdownSignals } from './utils/shutdown.js';
+import { formatUptime } from './utils/node-supervisor.js';
+import { CooldownError, AlreadyClaimedError } from './utils/api-errors.js';
+import { getDriftDetector } from './utils/api-drift.js';
+import { CycleSummary } from './utils/cycle-summary.js';
+import { DryRun } from './utils/dry-run.js';
+import logger from './utils/logger.js';
+import banner from './utils/banner.js';
+
+// Exit status, so cron/systemd timers can alert on it
+const EXIT_CODES = { ok: 0, partial: 1, failed: 2, error: 3, locked: 4 };
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  run                 run every task on schedule, forever (default)
+  once                run one cycle of due tasks and exit (same as run --once)
+  status              show node status and task schedule
+  points              fetch and record current points
+  checkin             claim the daily check-in
+  node start|stop     start or stop the light node
+  proof               submit a proof and claim its points
+  validate            check wallets.json without contacting the API
+  api diff|accept     show or accept API changes found against the baseline
+
+Options:
+  --wallet <address>  only act on this wallet (repeatable or comma-separated)
+  --config <path>     config file (default: config.json or LAYEREDGE_CONFIG)
+  --json              print results as JSON on stdout, logs go to stderr
+  --once              with run: stop after one cycle
+  --dashboard         with run: full-screen status view instead of the log
+  --dry-run           sign and print every request instead of sending it;
+                      each step counts as a success, state.json is left as is
+  --dry-run-file <path>
+                      like --dry-run, also saving the requests as JSON lines
+  -h, --help          show this help
+
+Exit codes:
+  0  every wallet succeeded    1  some wallets failed    2  every wallet failed
+  3  usage or setup error      4  another run holds the lockfile`;
+
+// Runs `action(socket, wallet, context)` for every selected wallet. Each
+// action returns { ok, ...details } for the command output; a thrown API
+// error becomes { ok: false, error, message }.
+async function forEachWallet(options, action) {
+    const context = await prepare(options);
+    const results = [];
+
+    for (const wallet of context.wallets) {
+        const socket = new LayerEdgeConnection(wallet.proxy, wallet.signer, context.config, context.dryRun);
+        const result = await logger.withContext({ wallet: wallet.address }, async () => {
+            try {
+                return await action(socket, wallet, context);
+            } catch (error) {
+                return { ok: false, error: error.name, message: error.message };
+            }
+        });
+        results.push({ wallet: wallet.address, ...result });
+    }
+
+    return results;
+}
+
+const COMMANDS = {
+    // Holds the lockfile for the whole cycle so a slow run and the next timer tick never overlap
+    async once(options) {
+        handleShutdownSignals();
+        const context = await prepare({ ...options, lock: true });
+        try {
+            const summary = new CycleSummary();
+            await runCycle(context, shutdownSignal, summary);
+            await context.supervisor.poll(shutdownSignal);
+            return summary.wallets;
+        } finally {
+            if (shutdownSignal.aborted) {
+                await shutdown(context);
+            } else {
+                context.release();
+            }
+        }
+    },
+
+    status: (options) => forEachWallet(options, async (socket, wallet, { state, supervisor }) => {
+        const status = await socket.checkNodeStatus();
+        return {
+            ok: true,
+            running: status.running,
+            startTimestamp: status.startTimestamp,
+            uptime: formatUptime(supervisor.uptime(wallet.address)),
+            node: supervisor.uptime(wallet.address),
+            tasks: state.data.wallets[wallet.address] ?? {}
+        };
+    }),
+
+    points: (options) => forEachWallet(options, async (socket) => {
+        const details = await socket.checkNodePoints();
+        return { ok: true, nodePoints: details.nodePoints, details };
+    }),
+
+    // A check-in that is still on cooldown is not an error for the operator
+    checkin: (options) => forEachWallet(options, async (socket) => {
+        try {
+            const { message } = await socket.dailyCheckIn();
+            return { ok: true, message };
+        } catch (error) {
+            if (!(error instanceof CooldownError)) throw error;
+            return { ok: true, cooldownUntil: new Date(error.until).toISOString(), message: error.message };
+        }
+    }),
+
+    node(options, [action]) {
+        if (action !== 'start' && action !== 'stop') {
+            throw new Error('Usage: node cli.js node start|stop');
+        }
+        return forEachWallet(options, async (socket) => {
+            const { message } = action === 'start' ? await socket.connectNode() : await socket.stopNode();
+            return { ok: true, action, message };
+        });
+    },
+
+    proof: (options) => forEachWallet(options, async (socket) => {
+        await socket.submitProof();
+        try {
+            await socket.claimProofSubmissionPoints();
+            return { ok: true, claimed: true };
+        } catch (error) {
+            if (!(error instanceof AlreadyClaimedError)) throw error;
+            return { ok: true, claimed: false, message: error.message };
+        }
+    }),
+
+    async api(options, [action]) {
+        if (action !== 'diff' && action !== 'accept') {
+            throw new Error('Usage: node cli.js api diff|accept');
+        }
+        const config = await loadConfig(options.configFile);
+        logger.configure({ ...config.log, ...options.log });
+        const drift = await getDriftDetector(config.files.apiBaseline).load();
+
+        if (action === 'accept') {
+            const accepted = await drift.accept();
+            logger.success('API baseline updated', accepted.length > 0 ? accepted.join(', ') : 'no changes recorded');
+            return accepted.map(endpoint => ({ endpoint, ok: true }));
+        }
+        return Object.entries(drift.data.changes).map(([endpoint, change]) => ({
+            endpoint,
+            ok: false,
+            firstSeen: change.firstSeen,
+            diff: change.diff
+        }));
+    },
+
+    // Only checks the file, so it works before any wallet has a passphrase or network
+    async validate(options) {
+        const config = await loadConfig(options.configFile);
+        logger.configure({ ...config.log, ...options.log });
+
+        const report = await validateWallets(config.files.wallets);
+        if (report.issues.length > 0) {
+            logWalletIssues(report, config.files.wallets);
+        } else {
+            logger.success('Wallets valid', `${report.wallets} wallet(s) ready`);
+        }
+        return [{ file: config.files.wallets, ok: report.issues.length === 0, wallets: report.wallets, issues: report.issues }];
+    }
+};
+
+function exitCodeFor(results) {
+    const failed = results.filter(result => !result.ok).length;
+    if (failed === 0) return EXIT_CODES.ok;
+    return failed === results.length ? EXIT_CODES.failed : EXIT_CODES.partial;
+}
+
+function printResults(command, results) {
+    if (results.length === 0) {
+        logger.info(`${command}: nothing was due`);
+    }
+    for (const { wallet, file, endpoint, ok, ...details } of results) {
+        const summary = Object.entries(details)
+            .filter(([, value]) => value !== null && (typeof value !== 'object' || Array.isArray(value)))
+            .filter(([, value]) => !Array.isArray(value) || value.every(item => typeof item !== 'object'))
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+            .join(', ');
+        if (ok) {
+            logger.success(`${command} ok for ${wallet || file || endpoint}`, summary);
+        } else {
+            logger.error(`${command} failed for ${wallet || file || endpoint}`, summary);
+        }
+    }
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            wallet: { type: 'string', multiple: true, default: [] },
+            config: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            once: { type: 'boolean', default: false },
+            dashboard: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            'dry-run-file': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [name = 'run', ...args] = positionals;
+    const command = name === 'run' && values.once ? 'once' : name;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const options = {
+        configFile: values.config,
+        wallets: values.wallet.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+        log: values.json ? { format: 'json', stream: command === 'run' ? 'stdout' : 'stderr' } : {},
+        dashboard: values.dashboard && !values.json,
+        dryRun: values['dry-run'] || values['dry-run-file'] ? new DryRun(values['dry-run-file'] ?? null) : null
+    };
+
+    if (command === 'run') {
+        return run(options);
+    }
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        process.exit(EXIT_CODES.error);
+    }
+
+    if (!values.json) console.log(banner);
+    const results = await COMMANDS[command](options, args);
+
+    if (values.json) {
+        console.log(JSON.stringify({ command: [command, ...args].join(' '), results }, null, 2));
+    } else {
+        printResults([command, ...args].join(' '), results);
+    }
+
+    process.exitCode = exitCodeFor(results);
+}
+
+main().catch(error => {
+    if (error instanceof LockError) {
+        logger.warn('Another run is still in progress', error.message);
+        process.exit(EXIT_CODES.locked);
+    }
+    logger.error('Command failed', '', error);
+    process.exit(EXIT_CODES.error);
+});
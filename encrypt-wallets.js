@@ -0,0 +1,33 @@
+import { encryptWalletsFile } from './utils/signer.js';
+import { getPassphrase } from './utils/passphrase.js';
+import { loadConfig } from './utils/config.js';
+import logger from './utils/logger.js';
+import banner from './utils/banner.js';
+
+async function encryptWallets() {
+    console.log(banner);
+
+    try {
+        const config = await loadConfig();
+        logger.configure(config.log);
+        logger.info(`Encrypting ${config.files.wallets}`, 'Plaintext keys will be replaced by keystores');
+
+        const passphrase = await getPassphrase({ confirm: true });
+        const { migrated, refused } = await encryptWalletsFile(passphrase, config.files.wallets);
+
+        if (migrated > 0) {
+            logger.success('Wallets encrypted', `${migrated} wallet(s) migrated`);
+        } else if (refused.length === 0) {
+            logger.info('Nothing to encrypt', 'All wallets are already encrypted');
+        }
+        if (refused.length > 0) {
+            logger.error('Some wallets were not encrypted', `Fix the mnemonic or private key of wallet(s) #${refused.join(', #')} and run this again`);
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('Failed to encrypt wallets', error.message);
+        process.exit(1);
+    }
+}
+
+encryptWallets();
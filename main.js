@@ -1,589 +1,285 @@
-import fs from 'fs/promises';
-import axios from "axios";
-import chalk from "chalk";
-import { HttpsProxyAgent } from 'https-proxy-agent';
-import { SocksProxyAgent } from 'socks-proxy-agent';
-import { Wallet } from "ethers";
-import { connect } from "web3connectjs";
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSigners, validateWallets, logWalletIssues } from './utils/signer.js';
+import { acquireLock } from './utils/lockfile.js';
+import { shutdownSignal, handleShutdownSignals } from './utils/shutdown.js';
+import { NodeSupervisor } from './utils/node-supervisor.js';
+import { Notifier } from './utils/notifier.js';
+import { metrics, startMetricsServer } from './utils/metrics.js';
+import { CycleSummary } from './utils/cycle-summary.js';
+import { Dashboard } from './utils/dashboard.js';
+import { RequestHandler } from './utils/request-handler.js';
+import { StateStore } from './utils/state-store.js';
+import { runPipeline, hasDueTasks, nextDue, mergeTaskOptions } from './utils/pipeline.js';
+import { LayerEdgeClient, Signer, getAuditLog, getDriftDetector } from './utils/client.js';
+import { readProxies } from './utils/proxies.js';
+import { loadConfig, DEFAULT_CONFIG } from './utils/config.js';
+import logger from './utils/logger.js';
 import banner from './utils/banner.js';
 
-const logger = {
-    verbose: true,
-    
-    _formatTimestamp() {
-        return chalk.gray(`[${new Date().toLocaleTimeString()}]`);
-    },
-
-    _getLevelStyle(level) {
-        const styles = {
-            info: chalk.blueBright.bold,
-            warn: chalk.yellowBright.bold,
-            error: chalk.redBright.bold,
-            success: chalk.greenBright.bold,
-            debug: chalk.magentaBright.bold,
-            verbose: chalk.cyan.bold
+// Resolves early when `signal` is aborted, so a shutdown never waits out the idle time
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
         };
-        return styles[level] || chalk.white;
-    },
-
-    _formatError(error) {
-        if (!error) return '';
-        
-        let errorDetails = '';
-        if (axios.isAxiosError(error)) {
-            errorDetails = `
-            Status: ${error.response?.status || 'N/A'}
-            Status Text: ${error.response?.statusText || 'N/A'}
-            URL: ${error.config?.url || 'N/A'}
-            Method: ${error.config?.method?.toUpperCase() || 'N/A'}
-            Response Data: ${JSON.stringify(error.response?.data || {}, null, 2)}
-            Headers: ${JSON.stringify(error.config?.headers || {}, null, 2)}`;
-        }
-        return `${error.message}${errorDetails}`;
-    },
-
-    log(level, message, value = '', error = null) {
-        const timestamp = this._formatTimestamp();
-        const levelStyle = this._getLevelStyle(level);
-        const levelTag = levelStyle(`[${level.toUpperCase()}]`);
-        const header = chalk.cyan('◆ LayerEdge Auto Bot');
-
-        let formattedMessage = `${header} ${timestamp} ${levelTag} ${message}`;
-        
-        if (value) {
-            const formattedValue = typeof value === 'object' ? JSON.stringify(value) : value;
-            const valueStyle = level === 'error' ? chalk.red : 
-                             level === 'warn' ? chalk.yellow : 
-                             chalk.green;
-            formattedMessage += ` ${valueStyle(formattedValue)}`;
-        }
-
-        if (error && this.verbose) {
-            formattedMessage += `\n${chalk.red(this._formatError(error))}`;
-        }
-
-        console.log(formattedMessage);
-    },
-
-    info: (message, value = '') => logger.log('info', message, value),
-    warn: (message, value = '') => logger.log('warn', message, value),
-    error: (message, value = '', error = null) => logger.log('error', message, value, error),
-    success: (message, value = '') => logger.log('success', message, value),
-    debug: (message, value = '') => logger.log('debug', message, value),
-    verbose: (message, value = '') => logger.verbose && logger.log('verbose', message, value),
-
-    progress(wallet, step, status) {
-        const progressStyle = status === 'success' 
-            ? chalk.green('✔') 
-            : status === 'failed' 
-            ? chalk.red('✘') 
-            : chalk.yellow('➤');
-        
-        console.log(
-            chalk.cyan('◆ LayerEdge Auto Bot'),
-            chalk.gray(`[${new Date().toLocaleTimeString()}]`),
-            chalk.blueBright(`[PROGRESS]`),
-            `${progressStyle} ${wallet} - ${step}`
-        );
-    }
-};
-
-class RequestHandler {
-    static async makeRequest(config, retries = 30, backoffMs = 2000) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                logger.verbose(`Attempting request (${i + 1}/${retries})`, `URL: ${config.url}`);
-                const response = await axios(config);
-                logger.verbose(`Request successful`, `Status: ${response.status}`);
-                return response;
-            } catch (error) {
-                const isLastRetry = i === retries - 1;
-                const status = error.response?.status;
-                
-                if (status === 500) {
-                    logger.error(`Server Error (500)`, `Attempt ${i + 1}/${retries}`, error);
-                    if (isLastRetry) break;
-                    
-                    const waitTime = backoffMs * Math.pow(1.5, i);
-                    logger.warn(`Waiting ${waitTime/1000}s before retry...`);
-                    await delay(waitTime/1000);
-                    continue;
-                }
-
-                if (isLastRetry) {
-                    logger.error(`Max retries reached`, '', error);
-                    return null;
-                }
-
-                logger.warn(`Request failed`, `Attempt ${i + 1}/${retries}`, error);
-                await delay(2);
-            }
-        }
-        return null;
-    }
+        const timer = setTimeout(done, ms * 1000);
+        signal?.addEventListener('abort', done, { once: true });
+    });
 }
 
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms * 1000));
+const MIN_IDLE = 60 * 1000;
+
+// The bot's view of one wallet: a LayerEdgeClient built from the loaded
+// config with the bot's proxy, audit log, drift detector and points file.
+// With `dryRun` (a DryRun) requests are recorded there instead of sent.
+// Without a signer a random wallet is created.
+class LayerEdgeConnection extends LayerEdgeClient {
+    constructor(proxy = null, signer = null, config = DEFAULT_CONFIG, dryRun = null) {
+        super({
+            config,
+            proxy,
+            signer: signer || Signer.createRandom(),
+            auditLog: getAuditLog(config.files.audit),
+            drift: getDriftDetector(config.files.apiBaseline),
+            pointsFile: config.files.points,
+            dryRun
+        });
+    }
 }
 
-async function saveToFile(filename, data) {
-    try {
-        await fs.appendFile(filename, `${data}\n`, 'utf-8');
-        logger.info(`Data saved to ${filename}`);
-    } catch (error) {
-        logger.error(`Failed to save data to ${filename}: ${error.message}`);
+// Main Application
+// Loads config, wallets, proxies and state. `wallets` narrows everything to
+// the given addresses; each wallet keeps the proxy it would get in a full run.
+// With `lock` the lockfile is taken first and `release` is returned with the
+// rest of the context. A `dryRun` (a DryRun) is passed on to every
+// connection; it needs no lock, sends no notifications and leaves the state
+// file as it is.
+async function prepare({ configFile, wallets: only = [], log = {}, lock = false, dryRun = null } = {}) {
+    const config = await loadConfig(configFile);
+    logger.configure({ ...config.log, ...log });
+    if (config.profile) {
+        logger.info('Using config profile', config.profile);
+    }
+    if (dryRun) {
+        logger.warn('Dry run', dryRun.file ? `Requests are signed but not sent, saving them to ${dryRun.file}` : 'Requests are signed but not sent');
     }
-}
 
-async function readFile(pathFile) {
+    const release = lock && !dryRun ? await acquireLock(config.files.lock) : () => {};
     try {
-        const datas = await fs.readFile(pathFile, 'utf8');
-        return datas.split('\n')
-            .map(data => data.trim())
-            .filter(data => data.length > 0);
+        return { ...await loadWallets(config, only, dryRun), release };
     } catch (error) {
-        logger.error(`Error reading file: ${error.message}`);
-        return [];
+        release();
+        throw error;
     }
 }
 
-const newAgent = (proxy = null) => {
-    if (proxy) {
-        if (proxy.startsWith('http://')) {
-            return new HttpsProxyAgent(proxy);
-        } else if (proxy.startsWith('socks4://') || proxy.startsWith('socks5://')) {
-            return new SocksProxyAgent(proxy);
-        } else {
-            logger.warn(`Unsupported proxy type: ${proxy}`);
-            return null;
-        }
+async function loadWallets(config, only, dryRun) {
+
+    const validation = await validateWallets(config.files.wallets);
+    if (validation.issues.length > 0) {
+        logWalletIssues(validation, config.files.wallets);
+        throw new Error(`${config.files.wallets} has ${validation.issues.length} problem(s)`);
     }
-    return null;
-};
-
-class LayerEdgeConnection {
-    constructor(proxy = null, privateKey = null, refCode = "knYyWnsE") {
-        this.refCode = refCode;
-        this.proxy = proxy;
-        this.retryCount = 30;
-
-        this.headers = {
-            'Accept': 'application/json, text/plain, */*',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Origin': 'https://layeredge.io',
-            'Referer': 'https://layeredge.io/',
-            'Sec-Fetch-Dest': 'empty',
-            'Sec-Fetch-Mode': 'cors',
-            'Sec-Fetch-Site': 'same-site',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-            'sec-ch-ua': '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
-            'sec-ch-ua-mobile': '?0',
-            'sec-ch-ua-platform': '"Windows"'
-        };
 
-        this.axiosConfig = {
-            ...(this.proxy && { httpsAgent: newAgent(this.proxy) }),
-            timeout: 60000,
-            headers: this.headers,
-            validateStatus: (status) => status < 500
-        };
+    const proxies = await readProxies(config.files.proxies);
+    let wallets = (await loadSigners(config.files.wallets)).map((wallet, i) => ({
+        ...wallet,
+        proxy: proxies[i % proxies.length] || null,
+        tasks: mergeTaskOptions(config.tasks, wallet.tasks)
+    }));
 
-        this.wallet = privateKey
-            ? new Wallet(privateKey)
-            : Wallet.createRandom();
-            
-        logger.verbose(`Initialized LayerEdgeConnection`, 
-            `Wallet: ${this.wallet.address}\nProxy: ${this.proxy || 'None'}`);
+    if (proxies.length === 0) {
+        logger.warn('No Proxies', 'Running without proxy support');
     }
 
-    async makeRequest(method, url, config = {}) {
-        const finalConfig = {
-            method,
-            url,
-            ...this.axiosConfig,
-            ...config,
-            headers: {
-                ...this.headers,
-                ...(config.headers || {})
-            }
-        };
-        
-        return await RequestHandler.makeRequest(finalConfig, this.retryCount);
+    if (wallets.length === 0) {
+        throw new Error('No wallets configured');
     }
 
-    async checkInvite() {
-        const inviteData = {
-            invite_code: this.refCode,
-        };
-
-        const response = await this.makeRequest(
-            "post",
-            "https://referralapi.layeredge.io/api/referral/verify-referral-code",
-            { data: inviteData }
-        );
-
-        if (response && response.data && response.data.data.valid === true) {
-            logger.info("Invite Code Valid", response.data);
-            return true;
-        } else {
-            logger.error("Failed to check invite");
-            return false;
+    if (only.length > 0) {
+        const wanted = only.map(address => address.toLowerCase());
+        wallets = wallets.filter(wallet => wanted.includes(wallet.address.toLowerCase()));
+        if (wallets.length === 0) {
+            throw new Error(`No configured wallet matches ${only.join(', ')}`);
         }
     }
 
-    async registerWallet() {
-        const registerData = {
-            walletAddress: this.wallet.address,
-        };
-
-        const response = await this.makeRequest(
-            "post",
-            `https://referralapi.layeredge.io/api/referral/register-wallet/${this.refCode}`,
-            { data: registerData }
-        );
-
-        if (response && response.data) {
-            logger.info("Wallet successfully registered", response.data);
-            return true;
-        } else {
-            logger.error("Failed To Register wallets", "error");
-            return false;
-        }
+    const plaintext = wallets.filter(wallet => wallet.plaintext).length;
+    if (plaintext > 0) {
+        logger.warn(`Unencrypted private keys in ${config.files.wallets}`, `${plaintext} wallet(s) - run "npm run encrypt-wallets"`);
     }
 
-    async connectNode() {
-        const timestamp = Date.now();
-        const message = `Node activation request for ${this.wallet.address} at ${timestamp}`;
-        const sign = await this.wallet.signMessage(message);
-
-        const dataSign = {
-            sign: sign,
-            timestamp: timestamp,
-        };
-
-        const config = {
-            data: dataSign,
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        };
+    logger.info('Configuration loaded', `Wallets: ${wallets.length}, Proxies: ${proxies.length}`);
+
+    const state = await new StateStore(config.files.state, { readOnly: Boolean(dryRun) }).load();
+    const notifier = dryRun ? null : new Notifier(config.notify);
+    const supervisor = new NodeSupervisor({
+        wallets,
+        state,
+        notifier,
+        pollInterval: config.node.pollInterval,
+        connect: ({ proxy, signer }) => new LayerEdgeConnection(proxy, signer, config, dryRun)
+    });
+    return { config, proxies, wallets, state, supervisor, notifier, dryRun };
+}
 
-        const response = await this.makeRequest(
-            "post",
-            `https://referralapi.layeredge.io/api/light-node/node-action/${this.wallet.address}/start`,
-            config
-        );
-
-        if (response && response.data && response.data.message === "node action executed successfully") {
-            logger.info("Connected Node Successfully", response.data);
-            return true;
-        } else {
-            logger.info("Failed to connect Node");
-            return false;
+// One pass over every wallet with due tasks. Returns the pipeline results per
+// address; wallets with nothing due are left out, crashed ones map to null.
+// Once `signal` is aborted no further wallet is started. Every step is
+// collected in `summary`, which is logged as a table and saved to
+// `files.summary` at the end. Failures, cooldowns, stopped nodes and the
+// cycle summary go out through the notifier. A dry run saves no summary and
+// updates no metrics, so its made-up successes never reach /healthz.
+async function runCycle({ config, wallets, state, supervisor, notifier, dryRun = null }, signal = null, summary = new CycleSummary()) {
+    const cycle = {};
+
+    for (let i = 0; i < wallets.length; i++) {
+        const wallet = wallets[i];
+        const { address, signer, proxy } = wallet;
+
+        if (signal?.aborted) {
+            logger.info('Shutting down', `Leaving ${wallets.length - i} wallet(s) for the next run`);
+            break;
         }
-    }
-
-    async stopNode() {
-        const timestamp = Date.now();
-        const message = `Node deactivation request for ${this.wallet.address} at ${timestamp}`;
-        const sign = await this.wallet.signMessage(message);
 
-        const dataSign = {
-            sign: sign,
-            timestamp: timestamp,
-        };
-
-        const response = await this.makeRequest(
-            "post",
-            `https://referralapi.layeredge.io/api/light-node/node-action/${this.wallet.address}/stop`,
-            { data: dataSign }
-        );
-
-        if (response && response.data) {
-            logger.info("Stop and Claim Points Result:", response.data);
-            return true;
-        } else {
-            logger.error("Failed to Stopping Node and claiming points");
-            return false;
+        if (!hasDueTasks(state, address, wallet.tasks)) {
+            logger.verbose(`Nothing due for wallet ${i + 1}/${wallets.length}`, address);
+            continue;
         }
-    }
 
-    async dailyCheckIn() {
         try {
-            const timestamp = Date.now();
-            const message = `I am claiming my daily node point for ${this.wallet.address} at ${timestamp}`;
-            const sign = await this.wallet.signMessage(message);
-            const dataSign = { sign, timestamp, walletAddress: this.wallet.address };
-            const config = {
-                data: dataSign,
-                headers: { 'Content-Type': 'application/json' }
-            };
-
-            const response = await this.makeRequest(
-                "post",
-                "https://referralapi.layeredge.io/api/light-node/claim-node-points",
-                config
-            );
-
-            if (response && response.data) {
-                if (response.data.statusCode && response.data.statusCode === 405) {
-                    const cooldownMatch = response.data.message.match(/after\s+([^!]+)!/);
-                    const cooldownTime = cooldownMatch ? cooldownMatch[1].trim() : "unknown time";
-                    logger.info("⚠️ Daily Check-in Already Completed", `Come back after ${cooldownTime}`);
-                    return true;
-                } else {
-                    logger.info("✅ Daily Check-in Successful", response.data);
-                    return true;
-                }
-            } else {
-                logger.error("❌ Daily Check-in Failed");
-                return false;
+            logger.verbose(`Processing wallet ${i + 1}/${wallets.length}`, address);
+            const socket = new LayerEdgeConnection(proxy, signer, config, dryRun);
+
+            logger.progress(address, 'Wallet Processing Started', 'start');
+            logger.info(`Wallet Details`, `Address: ${address}, Proxy: ${proxy || 'No Proxy'}`);
+
+            const steps = {};
+            const results = await logger.withContext({ wallet: address }, () => runPipeline(socket, state, wallet.tasks, { signal, steps }));
+            summary.addWallet(address, steps);
+            supervisor?.observe(address, socket.nodeStatus);
+            await state.save();
+            const failed = Object.keys(results).filter(task => results[task] === 'failed');
+            if (failed.length > 0) {
+                logger.warn(`Some tasks failed for ${address}`, failed.join(', '));
+                await notifier?.walletFailed(address, `Failed tasks: ${failed.join(', ')}`);
+            }
+            for (const task of Object.keys(results).filter(task => results[task] === 'cooldown')) {
+                await notifier?.cooldown(address, task, state.nextEligible(address, task));
+            }
+            if (socket.nodeStatus?.running === false) {
+                await notifier?.nodeDown(address, 'The node is still stopped after this cycle');
             }
-        } catch (error) {
-            logger.error("Error during daily check-in:", error);
-            return false;
-        }
-    }
 
-    async checkNodeStatus() {
-        const response = await this.makeRequest(
-            "get",
-            `https://referralapi.layeredge.io/api/light-node/node-status/${this.wallet.address}`
-        );
-
-        if (response && response.data && response.data.data.startTimestamp !== null) {
-            logger.info("Node Status Running", response.data);
-            return true;
-        } else {
-            logger.error("Node not running trying to start node...");
-            return false;
+            cycle[address] = results;
+            if (!dryRun) metrics.walletRuns.inc({ wallet: address, result: failed.length > 0 ? 'failed' : 'ok' });
+            logger.progress(address, 'Wallet Processing Complete', 'success');
+        } catch (error) {
+            cycle[address] = null;
+            summary.addCrash(address, error);
+            if (!dryRun) metrics.walletRuns.inc({ wallet: address, result: 'crashed' });
+            logger.error(`Failed processing wallet ${address}`, '', error);
+            logger.progress(address, 'Wallet Processing Failed', 'failed');
+            await notifier?.walletFailed(address, error.message);
+            await delay(5, signal);
         }
     }
 
-    async checkNodePoints() {
-        const response = await this.makeRequest(
-            "get",
-            `https://referralapi.layeredge.io/api/referral/wallet-details/${this.wallet.address}`
-        );
-
-        if (response && response.data) {
-            logger.info(`${this.wallet.address} Total Points:`, response.data.data?.nodePoints || 0);
-            return true;
-        } else {
-            logger.error("Failed to check Total Points..");
-            return false;
-        }
+    summary.finish();
+    if (!summary.isEmpty) {
+        logger.table('Cycle summary', summary.renderTable(), { event: 'cycleSummary', summary });
     }
-
-    async submitProof() {
+    if (!summary.isEmpty && !dryRun) {
         try {
-            const timestamp = new Date().toISOString();
-            const message = `I am submitting a proof for LayerEdge at ${timestamp}`;
-            const signature = await this.wallet.signMessage(message);
-            
-            const proofData = {
-                proof: "GmEdgesss",
-                signature: signature,
-                message: message,
-                address: this.wallet.address
-            };
-
-            const config = {
-                data: proofData,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': '*/*'
-                }
-            };
-
-            const response = await this.makeRequest(
-                "post",
-                "https://dashboard.layeredge.io/api/send-proof",
-                config
-            );
-
-            if (response && response.data && response.data.success) {
-                logger.success("Proof submitted successfully", response.data.message);
-                return true;
-            } else {
-                logger.error("Failed to submit proof", response?.data);
-                return false;
-            }
+            await summary.save(config.files.summary);
         } catch (error) {
-            logger.error("Error submitting proof", "", error);
-            return false;
+            logger.warn('Failed to save cycle summary', error.message);
         }
     }
-
-    async claimProofSubmissionPoints() {
-        try {
-            const timestamp = Date.now();
-            const message = `I am claiming my proof submission node points for ${this.wallet.address} at ${timestamp}`;
-            const sign = await this.wallet.signMessage(message);
-
-            const claimData = {
-                walletAddress: this.wallet.address,
-                timestamp: timestamp,
-                sign: sign
-            };
-
-            const config = {
-                data: claimData,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json, text/plain, */*'
-                }
-            };
-
-            const response = await this.makeRequest(
-                "post",
-                "https://referralapi.layeredge.io/api/task/proof-submission",
-                config
-            );
-
-            if (response && response.data && response.data.message === "proof submission task completed successfully") {
-                logger.success("Proof submission points claimed successfully");
-                return true;
-            } else {
-                logger.error("Failed to claim proof submission points", response?.data);
-                return false;
-            }
-        } catch (error) {
-            logger.error("Error claiming proof submission points", "", error);
-            return false;
-        }
+    if (!dryRun && !Object.values(cycle).includes(null)) {
+        metrics.lastSuccessfulCycle.set({}, Math.floor(Date.now() / 1000));
     }
-
-    async claimLightNodePoints() {
-        try {
-            const timestamp = Date.now();
-            const message = `I am claiming my light node run task node points for ${this.wallet.address} at ${timestamp}`;
-            const sign = await this.wallet.signMessage(message);
-
-            const claimData = {
-                walletAddress: this.wallet.address,
-                timestamp: timestamp,
-                sign: sign
-            };
-
-            const config = {
-                data: claimData,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json, text/plain, */*'
-                }
-            };
-
-            const response = await this.makeRequest(
-                "post",
-                "https://referralapi.layeredge.io/api/task/node-points",
-                config
-            );
-
-            if (response && response.data && response.data.message === "node points task completed successfully") {
-                logger.success("Light node points claimed successfully");
-                return true;
-            } else {
-                logger.error("Failed to claim light node points", response?.data);
-                return false;
-            }
-        } catch (error) {
-            logger.error("Error claiming light node points", "", error);
-            return false;
-        }
+    if (Object.keys(cycle).length > 0) {
+        await notifier?.cycleSummary(cycle);
     }
+    return cycle;
 }
 
-// Main Application
-async function readWallets() {
-    try {
-        await fs.access("wallets.json");
-        const data = await fs.readFile("wallets.json", "utf-8");
-        return JSON.parse(data);
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            logger.info("No wallets found in wallets.json");
-            return [];
+// Called once a shutdown signal has been handled: optionally stops every node
+// (reconnecting them is left owed for the next run), then flushes state and
+// drops the lock.
+async function shutdown({ config, wallets, state, release, metricsServer, dryRun = null }) {
+    if (config.shutdown.stopNodes) {
+        logger.info('Stopping all nodes before exit', `${wallets.length} wallet(s)`);
+        for (const { address, signer, proxy } of wallets) {
+            const socket = new LayerEdgeConnection(proxy, signer, config, dryRun);
+            try {
+                await logger.withContext({ wallet: address }, () => socket.stopNode());
+                state.recordPending(address, 'connectNode');
+            } catch (error) {
+                logger.warn(`Could not stop node for ${address}`, error.message);
+            }
         }
-        throw err;
     }
+
+    await state.save();
+    metricsServer?.close();
+    release();
+    logger.success('Shutdown complete', 'Progress saved, the next run resumes from here');
 }
 
-async function run() {
-    console.log(banner);
+async function run(options = {}) {
+    if (options.log?.format !== 'json') console.log(banner);
     logger.info('Starting Layer Edge Auto Bot', 'Initializing...');
-    
+
+    let dashboard = null;
     try {
-        const proxies = await readFile('proxy.txt');
-        let wallets = await readWallets();
-        
-        if (proxies.length === 0) {
-            logger.warn('No Proxies', 'Running without proxy support');
+        handleShutdownSignals();
+        const context = await prepare({ ...options, lock: true });
+        if (context.config.metrics.enabled && !context.dryRun) {
+            const { host, port } = context.config.metrics;
+            // A healthy bot finishes a cycle at least once per interval
+            context.metricsServer = await startMetricsServer({ host, port, maxCycleAge: 2 * context.config.cycle.interval });
         }
-        
-        if (wallets.length === 0) {
-            throw new Error('No wallets configured');
+        if (options.dashboard) {
+            dashboard = new Dashboard(context);
+            await dashboard.start();
         }
 
-        logger.info('Configuration loaded', `Wallets: ${wallets.length}, Proxies: ${proxies.length}`);
-
-        while (true) {
-            for (let i = 0; i < wallets.length; i++) {
-                const wallet = wallets[i];
-                const proxy = proxies[i % proxies.length] || null;
-                const { address, privateKey } = wallet;
-                
-                try {
-                    logger.verbose(`Processing wallet ${i + 1}/${wallets.length}`, address);
-                    const socket = new LayerEdgeConnection(proxy, privateKey);
-                    const conn = await connect(privateKey);
-                    
-                    logger.progress(address, 'Wallet Processing Started', 'start');
-                    logger.info(`Wallet Details`, `Address: ${address}, Proxy: ${proxy || 'No Proxy'}`);
-
-                    logger.progress(address, 'Performing Daily Check-in', 'processing');
-                    await socket.dailyCheckIn();
-
-                    logger.progress(address, 'Submitting Proof', 'processing');
-                    await socket.submitProof();
-
-                    logger.progress(address, 'Claiming Proof Submission Points', 'processing');
-                    await socket.claimProofSubmissionPoints();
-
-                    logger.progress(address, 'Checking Node Status', 'processing');
-                    const isRunning = await socket.checkNodeStatus();
-
-                    if (isRunning) {
-                        logger.progress(address, 'Claiming Node Points', 'processing');
-                        await socket.stopNode();
-                    }
-
-                    logger.progress(address, 'Reconnecting Node', 'processing');
-                    await socket.connectNode();
-
-                    logger.progress(address, 'Claiming Light Node Points', 'processing');
-                    await socket.claimLightNodePoints();
-
-                    logger.progress(address, 'Checking Node Points', 'processing');
-                    await socket.checkNodePoints();
-
-                    logger.progress(address, 'Wallet Processing Complete', 'success');
-                } catch (error) {
-                    logger.error(`Failed processing wallet ${address}`, '', error);
-                    logger.progress(address, 'Wallet Processing Failed', 'failed');
-                    await delay(5);
+        while (!shutdownSignal.aborted) {
+            dashboard?.setNextCycle(null);
+            await runCycle(context, shutdownSignal);
+            if (shutdownSignal.aborted) break;
+
+            const idle = Math.min(Math.max(nextDue(context.state, context.wallets) - Date.now(), MIN_IDLE), context.config.cycle.interval);
+            logger.warn('Cycle Complete', `Next task due in ${Math.round(idle / 60000)} minute(s), waiting...`);
+
+            // Keep an eye on the nodes while waiting for the next cycle
+            const cycleAt = Date.now() + idle;
+            dashboard?.setNextCycle(cycleAt);
+            while (!shutdownSignal.aborted && Date.now() < cycleAt) {
+                await delay(Math.min(context.config.node.pollInterval, cycleAt - Date.now()) / 1000, shutdownSignal);
+                if (!shutdownSignal.aborted && Date.now() < cycleAt) {
+                    await context.supervisor.poll(shutdownSignal);
                 }
             }
-            
-            logger.warn('Cycle Complete', 'Waiting 1 hour before next run...');
-            await delay(60 * 60);
         }
+
+        dashboard?.stop();
+        await shutdown(context);
     } catch (error) {
+        dashboard?.stop();
         logger.error('Fatal error occurred', '', error);
         process.exit(1);
     }
 }
 
-run();
+// Only start the bot when executed directly, so the classes can be imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    run();
+}
+
+export { LayerEdgeClient, LayerEdgeConnection, RequestHandler, prepare, runCycle, shutdown, run };
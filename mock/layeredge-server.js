@@ -0,0 +1,251 @@
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getBytes, verifyMessage } from "ethers";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Local stand-in for the LayerEdge referral and dashboard APIs. Every
+// endpoint LayerEdgeConnection calls is served under /api and every signed
+// payload is checked with ethers, so the bot can be exercised end to end
+// without touching production.
+//
+// Faults can be queued per route to simulate a misbehaving API:
+//   server.inject({ route: 'node-status', type: 'error', status: 500, times: 3 })
+//   server.inject({ route: 'send-proof', type: 'error', status: 429, retryAfter: 5 })
+//   server.inject({ route: 'send-proof', type: 'malformed' })
+//   server.inject({ route: 'wallet-details', type: 'slow', delay: 2000 })
+//   server.inject({ route: 'claim-node-points', type: 'cooldown' })
+// The same JSON can be POSTed to /__mock/faults when running standalone.
+
+function json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => data += chunk);
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch {
+                resolve(null);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function signedBy(message, signature, address) {
+    try {
+        return verifyMessage(message, signature).toLowerCase() === String(address).toLowerCase();
+    } catch {
+        return false;
+    }
+}
+
+export function createMockServer({ validCodes = ['knYyWnsE'], autoRegister = true, initialPoints = 0 } = {}) {
+    const wallets = new Map();
+    const faults = [];
+    const requests = [];
+
+    const wallet = (address) => {
+        const key = address.toLowerCase();
+        if (!wallets.has(key)) {
+            if (!autoRegister) return null;
+            wallets.set(key, { address, nodePoints: initialPoints, startTimestamp: null, lastCheckIn: 0, proofs: 0, tasks: {} });
+        }
+        return wallets.get(key);
+    };
+
+    const notRegistered = (res) => json(res, 404, { statusCode: 404, message: 'wallet not registered' });
+    const invalidSignature = (res) => json(res, 401, { statusCode: 401, message: 'invalid signature' });
+
+    const routes = [
+        ['POST', /^\/api\/referral\/verify-referral-code$/, 'verify-referral-code', async (req, res, _, body) => {
+            json(res, 200, { data: { valid: validCodes.includes(body.invite_code) } });
+        }],
+        ['POST', /^\/api\/referral\/register-wallet\/([^/]+)$/, 'register-wallet', async (req, res, [code], body) => {
+            if (!validCodes.includes(code)) return json(res, 400, { message: 'invalid referral code' });
+            const key = String(body.walletAddress).toLowerCase();
+            if (!wallets.has(key)) {
+                wallets.set(key, { address: body.walletAddress, nodePoints: initialPoints, startTimestamp: null, lastCheckIn: 0, proofs: 0, tasks: {} });
+            }
+            json(res, 200, { message: 'registered wallet address successfully', data: { walletAddress: body.walletAddress } });
+        }],
+        ['POST', /^\/api\/light-node\/node-action\/([^/]+)\/(start|stop)$/, 'node-action', async (req, res, [address, action], body) => {
+            const entry = wallet(address);
+            if (!entry) return notRegistered(res);
+            const verb = action === 'start' ? 'activation' : 'deactivation';
+            if (!signedBy(`Node ${verb} request for ${address} at ${body.timestamp}`, body.sign, address)) {
+                return invalidSignature(res);
+            }
+            if (action === 'start') {
+                if (entry.startTimestamp) return json(res, 405, { statusCode: 405, message: 'node is already running' });
+                entry.startTimestamp = Math.floor(Date.now() / 1000);
+            } else {
+                if (!entry.startTimestamp) return json(res, 405, { statusCode: 405, message: 'node is not running' });
+                entry.nodePoints += Math.floor(Date.now() / 1000) - entry.startTimestamp;
+                entry.startTimestamp = null;
+            }
+            json(res, 200, { message: 'node action executed successfully', data: { startTimestamp: entry.startTimestamp } });
+        }],
+        ['GET', /^\/api\/light-node\/node-status\/([^/]+)$/, 'node-status', async (req, res, [address]) => {
+            const entry = wallet(address);
+            if (!entry) return notRegistered(res);
+            json(res, 200, { message: 'node status', data: { startTimestamp: entry.startTimestamp } });
+        }],
+        ['POST', /^\/api\/light-node\/claim-node-points$/, 'claim-node-points', async (req, res, _, body) => {
+            const entry = wallet(body.walletAddress);
+            if (!entry) return notRegistered(res);
+            if (!signedBy(`I am claiming my daily node point for ${body.walletAddress} at ${body.timestamp}`, body.sign, body.walletAddress)) {
+                return invalidSignature(res);
+            }
+            const remaining = entry.lastCheckIn + DAY - Date.now();
+            if (remaining > 0) {
+                const hours = Math.floor(remaining / 3600000);
+                const minutes = Math.floor((remaining % 3600000) / 60000);
+                const seconds = Math.floor((remaining % 60000) / 1000);
+                return json(res, 405, { statusCode: 405, message: `can not claim node points twice in 24 hours, come back after ${hours}h ${minutes}m ${seconds}s!` });
+            }
+            entry.lastCheckIn = Date.now();
+            entry.nodePoints += 1000;
+            json(res, 200, { message: 'node points claimed successfully', data: { nodePoints: entry.nodePoints } });
+        }],
+        ['GET', /^\/api\/referral\/wallet-details\/([^/]+)$/, 'wallet-details', async (req, res, [address]) => {
+            const entry = wallet(address);
+            if (!entry) return notRegistered(res);
+            json(res, 200, {
+                data: {
+                    walletAddress: entry.address,
+                    nodePoints: entry.nodePoints,
+                    referralCode: validCodes[0],
+                    proofSubmitted: entry.proofs > 0,
+                    isEligible: true
+                }
+            });
+        }],
+        ['POST', /^\/api\/send-proof$/, 'send-proof', async (req, res, _, body) => {
+            const entry = wallet(body.address);
+            if (!entry) return notRegistered(res);
+            if (!/^I am submitting a proof for LayerEdge at /.test(body.message) || !signedBy(body.message, body.signature, body.address)) {
+                return json(res, 401, { success: false, message: 'invalid signature' });
+            }
+            entry.proofs++;
+            json(res, 200, { success: true, message: 'proof submitted successfully' });
+        }],
+        ['POST', /^\/api\/task\/(proof-submission|node-points)$/, 'task', async (req, res, [task], body) => {
+            const entry = wallet(body.walletAddress);
+            if (!entry) return notRegistered(res);
+            const template = task === 'proof-submission'
+                ? `I am claiming my proof submission node points for ${body.walletAddress} at ${body.timestamp}`
+                : `I am claiming my light node run task node points for ${body.walletAddress} at ${body.timestamp}`;
+            if (!signedBy(template, body.sign, body.walletAddress)) return invalidSignature(res);
+            if (task === 'proof-submission' && entry.proofs === 0) {
+                return json(res, 405, { statusCode: 405, message: 'proof not submitted yet' });
+            }
+            if (entry.tasks[task]) {
+                return json(res, 405, { statusCode: 405, message: 'task already completed' });
+            }
+            entry.tasks[task] = true;
+            entry.nodePoints += 500;
+            json(res, 200, { message: `${task.replace('-', ' ')} task completed successfully` });
+        }]
+    ];
+
+    // Returns true when a fault took over the response
+    const applyFault = async (routeName, res) => {
+        const index = faults.findIndex(fault => !fault.route || fault.route === routeName);
+        if (index === -1) return false;
+
+        const fault = faults[index];
+        if (--fault.times <= 0) faults.splice(index, 1);
+
+        switch (fault.type) {
+            case 'error':
+                if (fault.retryAfter !== undefined) res.setHeader('Retry-After', String(fault.retryAfter));
+                json(res, fault.status || 500, { statusCode: fault.status || 500, message: http.STATUS_CODES[fault.status || 500] });
+                return true;
+            case 'malformed':
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end('{"data": {"startTime');
+                return true;
+            case 'cooldown':
+                json(res, 405, { statusCode: 405, message: 'can not claim node points twice in 24 hours, come back after 1h 0m 0s!' });
+                return true;
+            case 'slow':
+                await new Promise(resolve => setTimeout(resolve, fault.delay || 1000));
+                return false;
+            default:
+                return false;
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const body = req.method === 'POST' ? await readBody(req) : {};
+
+        if (pathname === '/__mock/faults' && req.method === 'POST') {
+            server.inject(body || {});
+            return json(res, 200, { faults });
+        }
+
+        for (const [method, pattern, name, handler] of routes) {
+            const match = pathname.match(pattern);
+            if (!match || method !== req.method) continue;
+
+            requests.push({ method, route: name, path: pathname, body });
+            if (await applyFault(name, res)) return;
+            if (body === null) return json(res, 400, { message: 'malformed JSON body' });
+            return handler(req, res, match.slice(1), body);
+        }
+
+        json(res, 404, { message: `Cannot ${req.method} ${pathname}` });
+    });
+
+    server.wallets = wallets;
+    server.requests = requests;
+    server.inject = ({ route = null, type = 'error', status, delay, retryAfter, times = 1 }) => {
+        faults.push({ route, type, status, delay, retryAfter, times });
+    };
+    server.clearFaults = () => faults.splice(0);
+
+    // Resolves with the base URL to use for both referralBaseUrl and dashboardBaseUrl
+    server.start = (port = 0) => new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/api`));
+    });
+    server.stop = () => new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    });
+
+    return server;
+}
+
+// Minimal JSON-RPC signer (personal_sign / eth_sign) for exercising RemoteSigner
+export function createMockSigner(wallet) {
+    const server = http.createServer(async (req, res) => {
+        const { id, method, params = [] } = await readBody(req) || {};
+        const data = method === 'personal_sign' ? params[0] : method === 'eth_sign' ? params[1] : null;
+        if (!data) {
+            return json(res, 200, { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not supported` } });
+        }
+        json(res, 200, { jsonrpc: '2.0', id, result: await wallet.signMessage(getBytes(data)) });
+    });
+
+    server.start = () => new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+    server.stop = () => new Promise(resolve => server.close(() => resolve()));
+
+    return server;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const server = createMockServer();
+    const url = await server.start(Number(process.env.PORT) || 8080);
+    console.log(`Mock LayerEdge API listening on ${url}`);
+    console.log('Run the bot against it with LAYEREDGE_PROFILE=local');
+}
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import chalk from "chalk";
+import { readPoints, buildReport, toCsv } from './utils/points-history.js';
+import { loadConfig } from './utils/config.js';
+import { HOUR } from './utils/pipeline.js';
+import logger from './utils/logger.js';
+import banner from './utils/banner.js';
+
+const signed = (value) => `${value >= 0 ? '+' : ''}${value}`;
+
+// Prints a points report from the history collected by checkNodePoints:
+//   npm run report -- [--wallet 0x...] [--stall-hours 24] [--days 7]
+//   npm run report -- --csv points.csv | --json report.json
+// --config <path> picks the config file as in cli.js (default: config.json
+// or LAYEREDGE_CONFIG).
+function printReport(report, days) {
+    for (const wallet of report.wallets) {
+        const status = wallet.stalled ? chalk.red('STALLED') : chalk.green('growing');
+        console.log(`\n${chalk.cyan(wallet.wallet)} ${status}`);
+        console.log(`  Points: ${wallet.nodePoints} (${signed(wallet.totalGain)} since ${wallet.firstSeen})`);
+        console.log(`  Snapshots: ${wallet.snapshots}, last growth: ${wallet.lastGrowth}`);
+
+        const lastCycle = wallet.cycles.at(-1);
+        if (lastCycle) {
+            const average = Math.round(wallet.cycles.reduce((sum, cycle) => sum + cycle.gain, 0) / wallet.cycles.length);
+            console.log(`  Per cycle: last ${signed(lastCycle.gain)}, average ${signed(average)}`);
+        }
+
+        console.log('  Per day:');
+        for (const day of wallet.days.slice(-days)) {
+            console.log(`    ${day.date}  ${String(day.nodePoints).padStart(10)}  ${chalk.green(signed(day.gain))}`);
+        }
+    }
+}
+
+async function report() {
+    const { values } = parseArgs({
+        options: {
+            wallet: { type: 'string' },
+            config: { type: 'string' },
+            'stall-hours': { type: 'string', default: '24' },
+            days: { type: 'string', default: '7' },
+            csv: { type: 'string' },
+            json: { type: 'string' }
+        }
+    });
+
+    const config = await loadConfig(values.config);
+    logger.configure(config.log);
+    const snapshots = await readPoints(config.files.points, { wallet: values.wallet });
+
+    if (values.csv) {
+        await fs.writeFile(values.csv, toCsv(snapshots), 'utf-8');
+        logger.success('Points history exported', values.csv);
+        return;
+    }
+
+    const result = buildReport(snapshots, { stallAfter: Number(values['stall-hours']) * HOUR });
+    if (values.json) {
+        await fs.writeFile(values.json, JSON.stringify(result, null, 2), 'utf-8');
+        logger.success('Points report exported', values.json);
+        return;
+    }
+
+    console.log(banner);
+    if (result.wallets.length === 0) {
+        logger.warn('No points history yet', config.files.points);
+        return;
+    }
+
+    printReport(result, Number(values.days));
+
+    const stalled = result.wallets.filter(wallet => wallet.stalled);
+    console.log('');
+    if (stalled.length > 0) {
+        logger.warn(`${stalled.length} wallet(s) stopped earning for more than ${values['stall-hours']}h`, stalled.map(wallet => wallet.wallet).join(', '));
+    } else {
+        logger.success('All wallets are earning points');
+    }
+}
+
+report().catch(error => {
+    logger.error('Failed to build points report', error.message);
+    process.exit(1);
+});
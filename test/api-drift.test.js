@@ -0,0 +1,63 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ApiDriftDetector, fingerprint, normalizeMessage } from '../utils/api-drift.js';
+
+const dirs = [];
+
+async function detector() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-drift-'));
+    dirs.push(dir);
+    return new ApiDriftDetector(path.join(dir, 'api-baseline.json'));
+}
+
+after(async () => {
+    await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+test('fingerprints nested fields and normalises messages', () => {
+    assert.deepEqual(fingerprint({ data: { valid: true, list: [{ id: 1 }] } }), {
+        '(body)': 'object',
+        data: 'object',
+        'data.valid': 'boolean',
+        'data.list': 'array',
+        'data.list[]': 'object',
+        'data.list[].id': 'number'
+    });
+    assert.equal(
+        normalizeMessage('come back after 23h 5m 1s! 0x0000000000000000000000000000000000000001'),
+        'come back after <n>h <n>m <n>s! <address>'
+    );
+});
+
+test('learns a baseline, then reports changed fields and messages once', async () => {
+    const drift = await detector();
+    const ok = { status: 200, data: { message: 'node status', data: { startTimestamp: null } } };
+
+    assert.deepEqual(await drift.check('nodeStatus', ok), []);
+    assert.deepEqual(await drift.check('nodeStatus', { status: 200, data: { message: 'node status', data: { startTimestamp: 1700000000 } } }), [],
+        'a nullable field turning into a number is not a change');
+
+    const changed = { status: 200, data: { message: 'node state', data: { startedAt: '2026-01-01' } } };
+    assert.deepEqual(await drift.check('nodeStatus', changed), [
+        '+ data.startedAt: string',
+        '- data.startTimestamp: null',
+        '+ message "node state"'
+    ]);
+
+    const saved = JSON.parse(await fs.readFile(drift.file, 'utf-8'));
+    assert.deepEqual(Object.keys(saved.changes), ['nodeStatus 200']);
+
+    assert.deepEqual(await drift.accept(), ['nodeStatus 200']);
+    assert.deepEqual(await drift.check('nodeStatus', changed), []);
+});
+
+test('keeps a separate baseline per status code', async () => {
+    const drift = await detector();
+    await drift.check('claimTask', { status: 200, data: { message: 'node points task completed successfully' } });
+
+    assert.deepEqual(await drift.check('claimTask', { status: 405, data: { statusCode: 405, message: 'task already completed' } }), []);
+    assert.deepEqual(Object.keys(drift.data.endpoints), ['claimTask 200', 'claimTask 405']);
+});
@@ -0,0 +1,44 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Wallet } from "ethers";
+import { AuditLog, verifyAuditLog } from '../utils/audit-log.js';
+
+let dir;
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function signedRecord(wallet) {
+    const message = `I am claiming my daily node point for ${wallet.address} at ${Date.now()}`;
+    return {
+        address: wallet.address,
+        message,
+        signature: await wallet.signMessage(message),
+        method: 'post',
+        endpoint: 'http://layeredge.test/api/light-node/claim-node-points',
+        status: 200
+    };
+}
+
+test('keeps appending after a write that was cut short', async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-audit-'));
+    const file = path.join(dir, 'audit-log.jsonl');
+    const wallet = Wallet.createRandom();
+
+    await new AuditLog(file).record(await signedRecord(wallet));
+    const [complete] = (await fs.readFile(file, 'utf-8')).split('\n');
+    await fs.appendFile(file, complete.slice(0, 40));
+
+    await new AuditLog(file).record(await signedRecord(wallet));
+
+    const lines = (await fs.readFile(file, 'utf-8')).trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.equal(JSON.parse(lines[2]).seq, 2);
+    const { entries, problems } = await verifyAuditLog(file);
+    assert.equal(entries, 3);
+    assert.deepEqual(problems, [{ line: 2, reason: 'not valid JSON' }]);
+});
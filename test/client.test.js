@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet, verifyMessage } from "ethers";
+import { LayerEdgeClient, CooldownError, DEFAULT_CONFIG } from '../utils/client.js';
+import { SigningPolicyError } from '../utils/signing-policy.js';
+
+const silent = { verbose() {}, info() {}, success() {}, warn() {} };
+
+// A transport that answers from `routes` and remembers every request
+function fakeTransport(routes) {
+    const requests = [];
+    const transport = async request => {
+        requests.push(request);
+        const { pathname } = new URL(request.url);
+        const route = Object.keys(routes).find(path => pathname.includes(path));
+        return route ? { status: 200, ...routes[route] } : null;
+    };
+    return { transport, requests };
+}
+
+function client(routes, options = {}) {
+    const wallet = Wallet.createRandom();
+    const signer = { address: wallet.address, signMessage: message => wallet.signMessage(message) };
+    const { transport, requests } = fakeTransport(routes);
+    const records = [];
+    return {
+        signer,
+        requests,
+        records,
+        client: new LayerEdgeClient({
+            signer,
+            transport,
+            logger: silent,
+            auditLog: { record: async entry => records.push(entry) },
+            drift: null,
+            pointsFile: null,
+            api: { referralBaseUrl: 'http://layeredge.test/api', dashboardBaseUrl: 'http://dashboard.test/api' },
+            ...options
+        })
+    };
+}
+
+test('signs with an injected signer and sends through an injected transport', async () => {
+    const { client: api, signer, requests, records } = client({
+        '/start': { data: { message: 'node action executed successfully', data: { startTimestamp: 1700000000 } } }
+    });
+
+    assert.deepEqual(await api.connectNode(), { message: 'node action executed successfully', startTimestamp: 1700000000 });
+    assert.deepEqual(api.nodeStatus, { running: true, startTimestamp: 1700000000 });
+
+    const [request] = requests;
+    assert.equal(request.method, 'post');
+    assert.equal(request.url, `http://layeredge.test/api/light-node/node-action/${signer.address}/start`);
+    assert.equal(request.headers['User-Agent'], DEFAULT_CONFIG.request.headers['User-Agent']);
+    assert.equal(request.signed, undefined, 'audit details are not sent');
+    assert.equal(verifyMessage(records[0].message, request.data.sign), signer.address);
+    assert.equal(records[0].status, 200);
+});
+
+test('returns typed results and throws named errors', async () => {
+    const { client: api } = client({
+        '/verify-referral-code': { data: { data: { valid: true } } },
+        '/wallet-details/': { data: { data: { nodePoints: 42, referralCode: 'abc' } } },
+        '/claim-node-points': { status: 405, data: { statusCode: 405, message: 'can not claim node points twice in 24 hours, come back after 23h 59m 10s!' } }
+    }, { refCode: 'abc' });
+
+    assert.equal(await api.checkInvite(), true);
+    assert.deepEqual(await api.checkNodePoints(), { nodePoints: 42, referralCode: 'abc' });
+    await assert.rejects(api.dailyCheckIn(), CooldownError);
+});
+
+test('applies the signing policy to injected signers', async () => {
+    const signed = [];
+    const signer = { address: Wallet.createRandom().address, signMessage: async message => signed.push(message) };
+    const api = new LayerEdgeClient({ signer, transport: async () => null, logger: silent });
+
+    await assert.rejects(api.claimTask('node-points', 'Transfer everything to 0x0000000000000000000000000000000000000001', Date.now()), SigningPolicyError);
+    await assert.rejects(api.sign(`I am claiming my daily node point for ${Wallet.createRandom().address} at ${Date.now()}`), SigningPolicyError);
+    assert.deepEqual(signed, []);
+});
+
+test('needs a signer and writes no files unless asked to', () => {
+    assert.throws(() => new LayerEdgeClient({ logger: silent }), /needs a signer/);
+
+    const api = new LayerEdgeClient({ signer: Wallet.createRandom(), logger: silent });
+    assert.equal(api.auditLog, null);
+    assert.equal(api.drift, null);
+    assert.equal(api.pointsFile, null);
+});
+
+test('a missing response is reported as an ApiError', async () => {
+    const { client: api, records } = client({});
+
+    await assert.rejects(api.checkNodeStatus(), { name: 'ApiError', message: 'nodeStatus: no response' });
+    await assert.rejects(api.dailyCheckIn(), { name: 'ApiError' });
+    assert.equal(records[0].status, undefined);
+    assert.equal(records[0].response, 'not sent or not answered');
+    assert.equal(api.nodeStatus, null);
+    assert.equal(await api.getNodeStatus(), null);
+});
+
+test('a dry run signs requests but records them instead of sending', async () => {
+    const recorded = [];
+    const dryRun = { record: async (address, request) => recorded.push({ address, ...request }) };
+    const { client: api, signer, requests, records } = client({}, { dryRun, pointsFile: 'unused.jsonl' });
+
+    assert.deepEqual(await api.dailyCheckIn(), { message: 'Dry run, request not sent' });
+    assert.deepEqual(await api.checkNodeStatus(), { running: true, startTimestamp: 0 });
+    assert.equal((await api.checkNodePoints()).nodePoints, 0);
+
+    assert.equal(requests.length, 0, 'nothing reaches the transport');
+    assert.equal(records.length, 0, 'nothing is audited');
+    assert.equal(recorded.length, 3);
+    const [checkIn] = recorded;
+    assert.equal(checkIn.address, signer.address);
+    assert.equal(checkIn.url, 'http://layeredge.test/api/light-node/claim-node-points');
+    assert.equal(verifyMessage(checkIn.signed.message, checkIn.data.sign), signer.address);
+    assert.equal(checkIn.signed.signature, checkIn.data.sign);
+});
@@ -0,0 +1,89 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig, DEFAULT_CONFIG } from '../utils/config.js';
+
+const dirs = [];
+
+async function configFile(settings) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-config-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'config.json');
+    await fs.writeFile(file, JSON.stringify(settings));
+    return file;
+}
+
+after(async () => {
+    await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+const settings = {
+    request: { retries: 3 },
+    profile: 'staging',
+    profiles: {
+        staging: { request: { timeout: 5000 }, api: { referralBaseUrl: 'https://staging.example/api/' } },
+        local: { request: { retries: 1 }, api: { referralBaseUrl: 'http://127.0.0.1:8080/api' } }
+    }
+};
+
+test('layers defaults, the file and the selected profile', async () => {
+    const file = await configFile(settings);
+
+    const staging = await loadConfig(file, {});
+    assert.equal(staging.profile, 'staging');
+    assert.equal(staging.request.retries, 3);
+    assert.equal(staging.request.timeout, 5000);
+    assert.equal(staging.request.backoff.base, DEFAULT_CONFIG.request.backoff.base, 'untouched nested settings keep their default');
+    assert.equal(staging.api.referralBaseUrl, 'https://staging.example/api');
+    assert.equal(staging.api.dashboardBaseUrl, DEFAULT_CONFIG.api.dashboardBaseUrl);
+
+    const local = await loadConfig(file, { LAYEREDGE_PROFILE: 'local' });
+    assert.equal(local.profile, 'local');
+    assert.equal(local.request.retries, 1);
+    assert.equal(local.request.timeout, DEFAULT_CONFIG.request.timeout);
+
+    await assert.rejects(loadConfig(file, { LAYEREDGE_PROFILE: 'prod' }), /Unknown config profile "prod", available: staging, local/);
+});
+
+test('applies environment overrides last and parses numbers and booleans', async () => {
+    const file = await configFile(settings);
+
+    const config = await loadConfig(file, {
+        LAYEREDGE_RETRIES: '9',
+        LAYEREDGE_TIMEOUT: '7000',
+        LAYEREDGE_STOP_NODES_ON_SHUTDOWN: 'YES',
+        LAYEREDGE_METRICS_ENABLED: 'false',
+        LAYEREDGE_WALLETS_FILE: 'prod-wallets.json'
+    });
+    assert.equal(config.request.retries, 9);
+    assert.equal(config.request.timeout, 7000, 'the environment wins over the profile');
+    assert.equal(config.shutdown.stopNodes, true);
+    assert.equal(config.metrics.enabled, false);
+    assert.equal(config.files.wallets, 'prod-wallets.json');
+
+    await assert.rejects(loadConfig(file, { LAYEREDGE_RETRIES: 'many' }), /request\.retries: must be a positive integer/);
+});
+
+test('rejects unknown settings and values of the wrong type', async () => {
+    const file = await configFile({ retrys: 3, request: { retries: '3', timout: 10 }, log: { level: 'loud' } });
+
+    await assert.rejects(loadConfig(file, {}), error => {
+        assert.match(error.message, /^Invalid configuration:/);
+        assert.match(error.message, /- retrys: unknown setting/);
+        assert.match(error.message, /- request\.retries: expected a number/);
+        assert.match(error.message, /- request\.timout: unknown setting/);
+        assert.match(error.message, /- log\.level: expected one of/);
+        return true;
+    });
+});
+
+test('reports a section of the wrong type instead of crashing', async () => {
+    await assert.rejects(loadConfig(await configFile({ request: 5 }), {}), {
+        message: 'Invalid configuration:\n  - request: expected an object'
+    });
+    await assert.rejects(loadConfig(await configFile({ node: null }), {}), {
+        message: 'Invalid configuration:\n  - node: expected an object'
+    });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CycleSummary } from '../utils/cycle-summary.js';
+
+const A = '0x1111111111111111111111111111111111111111';
+const B = '0x2222222222222222222222222222222222222222';
+
+function step(status, extra = {}) {
+    return { status, durationMs: null, error: null, note: null, ...extra };
+}
+
+test('renders wallets × tasks with one line per failure', () => {
+    const summary = new CycleSummary();
+    summary.addWallet(A, {
+        dailyCheckIn: step('cooldown', { durationMs: 12 }),
+        submitProof: step('success', { durationMs: 40 }),
+        claimProofSubmissionPoints: step('success', { durationMs: 35 }),
+        checkNodeStatus: step('skipped'),
+        stopNode: step('deferred'),
+        connectNode: step('skipped'),
+        claimLightNodePoints: step('disabled'),
+        checkNodePoints: step('failed', { durationMs: 8, error: 'ApiError: walletDetails: HTTP 403' })
+    });
+    summary.addCrash(B, new Error('socket hang up'));
+
+    assert.deepEqual(summary.renderTable(), [
+        'wallet       checkin   proof  proof pts  status   claim     connect  node pts  points',
+        '0x1111…1111  cooldown  ✔      ✔          skipped  deferred  skipped  off       ✘',
+        '0x2222…2222  ✘         ✘      ✘          ✘        ✘         ✘        ✘         ✘',
+        '0x1111…1111 checkNodePoints: ApiError: walletDetails: HTTP 403',
+        '0x2222…2222 crashed: Error: socket hang up'
+    ]);
+});
+
+test('serialises every step as JSON', () => {
+    const summary = new CycleSummary(Date.parse('2026-01-01T00:00:00Z'));
+    summary.addWallet(A, { dailyCheckIn: step('success', { durationMs: 5 }) });
+    summary.finish(Date.parse('2026-01-01T00:00:07Z'));
+
+    assert.deepEqual(JSON.parse(JSON.stringify(summary)), {
+        startedAt: '2026-01-01T00:00:00.000Z',
+        finishedAt: '2026-01-01T00:00:07.000Z',
+        wallets: [{ wallet: A, ok: true, error: null, steps: { dailyCheckIn: step('success', { durationMs: 5 }) } }]
+    });
+});
@@ -0,0 +1,93 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Dashboard, formatDuration } from '../utils/dashboard.js';
+import { StateStore } from '../utils/state-store.js';
+import { DEFAULT_CONFIG } from '../utils/config.js';
+import logger from '../utils/logger.js';
+
+const UP = '0x1111111111111111111111111111111111111111';
+const DOWN = '0x2222222222222222222222222222222222222222';
+
+function terminal(isTTY = true) {
+    const stream = new EventEmitter();
+    Object.assign(stream, { isTTY, columns: 120, rows: 40, output: '' });
+    stream.write = chunk => { stream.output += chunk; };
+    return stream;
+}
+
+// The last frame without escape sequences
+function screen(stream) {
+    const frames = stream.output.split('\x1b[H');
+    return frames.at(-1).replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+const dirs = [];
+
+async function context() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-dashboard-'));
+    dirs.push(dir);
+    const state = new StateStore(path.join(dir, 'state.json'));
+    await state.load();
+    await fs.writeFile(path.join(dir, 'points.jsonl'), `${JSON.stringify({ time: new Date().toISOString(), wallet: DOWN, nodePoints: 1234, details: {} })}\n`);
+    return {
+        config: { ...DEFAULT_CONFIG, files: { ...DEFAULT_CONFIG.files, points: path.join(dir, 'points.jsonl') } },
+        wallets: [{ address: UP }, { address: DOWN }],
+        state
+    };
+}
+
+let dashboard;
+afterEach(() => dashboard?.stop());
+
+after(async () => {
+    await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+test('falls back to the log when stdout is not a terminal', async () => {
+    const stream = terminal(false);
+    dashboard = new Dashboard(await context(), stream);
+
+    assert.equal(await dashboard.start(), false);
+    assert.equal(stream.output, '');
+    assert.notEqual(logger.settings.stream, 'none');
+});
+
+test('shows wallets, the current task, recent errors and the next cycle', async () => {
+    const stream = terminal();
+    const ctx = await context();
+    ctx.state.node(UP).status = 'up';
+    ctx.state.node(DOWN).status = 'down';
+    ctx.state.recordSuccess(UP, 'dailyCheckIn', Date.now() + 1000, Date.now() - 2 * 60 * 60 * 1000);
+    ctx.state.recordSuccess(UP, 'stopNode', Date.now() + 30 * 60 * 1000);
+    ctx.state.recordSuccess(UP, 'claimLightNodePoints', Date.now() + 60 * 60 * 1000);
+    ctx.state.recordSuccess(UP, 'claimProofSubmissionPoints', Date.now() + 60 * 60 * 1000);
+
+    dashboard = new Dashboard(ctx, stream);
+    assert.equal(await dashboard.start(), true);
+    assert.equal(logger.settings.stream, 'none', 'the log stays off the screen');
+
+    logger.progress(UP, 'Submitting Proof', 'processing');
+    await logger.withContext({ wallet: DOWN }, () => logger.error('Claiming Node Points failed', 'ApiError: nodeAction: HTTP 403'));
+    dashboard.setNextCycle(Date.now() + 5 * 60 * 1000);
+
+    const text = screen(stream);
+    assert.match(text, /2 wallet\(s\) · next cycle in 5m 00s/);
+    assert.match(text, /^0x1111…1111\s+● up\s+Submitting Proof\s+2h 00m ago\s+in 30m 00s\s+-$/m);
+    assert.match(text, /^0x2222…2222\s+● down\s+idle\s+-\s+due\s+1234$/m);
+    assert.match(text, /0x2222…2222 Claiming Node Points failed: ApiError: nodeAction: HTTP 403/);
+
+    dashboard.stop();
+    assert.ok(stream.output.endsWith('\x1b[?25h\x1b[?1049l'), 'the terminal is restored');
+    assert.notEqual(logger.settings.stream, 'none');
+});
+
+test('formats countdowns', () => {
+    assert.equal(formatDuration(4500), '5s');
+    assert.equal(formatDuration(125000), '2m 05s');
+    assert.equal(formatDuration(3 * 60 * 60 * 1000 + 60000), '3h 01m');
+    assert.equal(formatDuration(-1000), '0s');
+});
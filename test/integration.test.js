@@ -0,0 +1,480 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import axios from "axios";
+import { Wallet, verifyMessage } from "ethers";
+import { createMockServer, createMockSigner } from '../mock/layeredge-server.js';
+import { LayerEdgeConnection, runCycle } from '../main.js';
+import { Signer } from '../utils/signer.js';
+import { RemoteSigner } from '../utils/remote-signer.js';
+import { StateStore } from '../utils/state-store.js';
+import { runPipeline } from '../utils/pipeline.js';
+import { verifyAuditLog } from '../utils/audit-log.js';
+import { readPoints, buildReport } from '../utils/points-history.js';
+import { RequestHandler } from '../utils/request-handler.js';
+import { NodeSupervisor } from '../utils/node-supervisor.js';
+import { Notifier } from '../utils/notifier.js';
+import { renderMetrics, resetMetrics } from '../utils/metrics.js';
+import { DryRun } from '../utils/dry-run.js';
+import { DEFAULT_CONFIG } from '../utils/config.js';
+
+let server;
+let baseUrl;
+let dir;
+const dirs = [];
+
+function testConfig(overrides = {}) {
+    return {
+        ...DEFAULT_CONFIG,
+        api: { referralBaseUrl: baseUrl, dashboardBaseUrl: baseUrl },
+        request: { ...DEFAULT_CONFIG.request, retries: 3, timeout: 2000, backoff: { base: 10, max: 50 }, ...overrides.request },
+        node: { ...DEFAULT_CONFIG.node, ...overrides.node },
+        files: { ...DEFAULT_CONFIG.files, state: path.join(dir, 'state.json'), audit: path.join(dir, 'audit-log.jsonl'), points: path.join(dir, 'points-history.jsonl'), apiBaseline: path.join(dir, 'api-baseline.json'), summary: path.join(dir, 'cycle-summary.json') }
+    };
+}
+
+async function runWallet(config = testConfig()) {
+    const signer = Signer.createRandom();
+    const socket = new LayerEdgeConnection(null, signer, config);
+    const state = await new StateStore(config.files.state).load();
+    const results = await runPipeline(socket, state);
+    return { signer, socket, state, results };
+}
+
+before(async () => {
+    server = createMockServer();
+    baseUrl = await server.start();
+});
+
+after(async () => {
+    await server.stop();
+    await Promise.all(dirs.map(tmp => fs.rm(tmp, { recursive: true, force: true })));
+});
+
+beforeEach(async () => {
+    server.clearFaults();
+    server.requests.length = 0;
+    RequestHandler.resetCircuits();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-test-'));
+    dirs.push(dir);
+});
+
+test('runs every task against the mock API', async () => {
+    const { signer, results } = await runWallet();
+
+    assert.equal(results.dailyCheckIn, 'success');
+    assert.equal(results.submitProof, 'success');
+    assert.equal(results.claimProofSubmissionPoints, 'success');
+    assert.equal(results.connectNode, 'success');
+    assert.equal(results.claimLightNodePoints, 'success');
+    assert.equal(results.checkNodePoints, 'success');
+
+    const wallet = server.wallets.get(signer.address.toLowerCase());
+    assert.ok(wallet.startTimestamp, 'node should be running');
+    assert.ok(wallet.nodePoints > 0, 'points should have been credited');
+});
+
+test('records the daily check-in cooldown from a 405 response', async () => {
+    server.inject({ route: 'claim-node-points', type: 'cooldown' });
+    const { signer, state, results } = await runWallet();
+
+    assert.equal(results.dailyCheckIn, 'cooldown');
+    const waitMs = state.nextEligible(signer.address, 'dailyCheckIn') - Date.now();
+    assert.ok(waitMs > 59 * 60 * 1000 && waitMs <= 60 * 60 * 1000, `unexpected cooldown of ${waitMs}ms`);
+});
+
+test('retries through a burst of 500 errors', async () => {
+    server.inject({ route: 'wallet-details', type: 'error', status: 500, times: 1 });
+    const { results } = await runWallet();
+
+    assert.equal(results.checkNodePoints, 'success');
+    assert.equal(server.requests.filter(r => r.route === 'wallet-details').length >= 2, true);
+});
+
+test('treats a malformed response body as a failed task', async () => {
+    server.inject({ route: 'node-status', type: 'malformed' });
+    const { results } = await runWallet();
+
+    assert.equal(results.checkNodeStatus, 'failed');
+    assert.equal(results.stopNode, 'blocked');
+    assert.equal(results.connectNode, 'deferred', 'an unknown status is not a reason to restart');
+});
+
+test('gives up on responses slower than the request timeout', async () => {
+    server.inject({ route: 'wallet-details', type: 'slow', delay: 600 });
+    const { results } = await runWallet(testConfig({ request: { retries: 1, timeout: 300 } }));
+
+    assert.equal(results.checkNodePoints, 'failed');
+});
+
+test('honours Retry-After on 429 responses', async () => {
+    server.inject({ route: 'wallet-details', type: 'error', status: 429, retryAfter: 1 });
+    const started = Date.now();
+    const { results } = await runWallet();
+
+    assert.equal(results.checkNodePoints, 'success');
+    assert.ok(Date.now() - started >= 1000, 'should have waited for Retry-After');
+});
+
+test('does not retry permanent 4xx responses', async () => {
+    server.inject({ route: 'wallet-details', type: 'error', status: 403 });
+    const { results } = await runWallet();
+
+    assert.equal(server.requests.filter(r => r.route === 'wallet-details').length, 1);
+    assert.equal(results.checkNodePoints, 'failed');
+});
+
+test('opens the circuit for an endpoint that keeps failing', async () => {
+    server.inject({ route: 'wallet-details', type: 'error', status: 503, times: 100 });
+    const config = testConfig({ request: { retries: 10, circuitBreaker: { threshold: 2, cooldown: 60000 } } });
+
+    await runWallet(config);
+    const calls = server.requests.filter(r => r.route === 'wallet-details').length;
+    const { results } = await runWallet(config);
+
+    assert.equal(calls, 2);
+    assert.equal(server.requests.filter(r => r.route === 'wallet-details').length, calls);
+    assert.equal(results.checkNodePoints, 'failed');
+});
+
+test('rejects payloads signed by another key', async () => {
+    const signer = Signer.createRandom();
+    const other = Wallet.createRandom();
+    const timestamp = Date.now();
+    const sign = await other.signMessage(`Node activation request for ${signer.address} at ${timestamp}`);
+
+    const response = await axios.post(
+        `${baseUrl}/light-node/node-action/${signer.address}/start`,
+        { sign, timestamp },
+        { validateStatus: () => true }
+    );
+
+    assert.equal(response.status, 401);
+});
+
+test('writes a verifiable audit entry for every signed request', async () => {
+    const config = testConfig();
+    await runWallet(config);
+
+    const { entries, problems } = await verifyAuditLog(config.files.audit);
+    assert.ok(entries >= 5, `expected signed requests, got ${entries}`);
+    assert.deepEqual(problems, []);
+});
+
+test('keeps a points snapshot per cycle for the report', async () => {
+    const config = testConfig();
+    const { signer, socket } = await runWallet(config);
+    await socket.checkNodePoints();
+
+    const snapshots = await readPoints(config.files.points, { wallet: signer.address });
+    assert.equal(snapshots.length, 2);
+    assert.equal(snapshots[0].details.walletAddress, signer.address);
+
+    const [wallet] = buildReport(snapshots).wallets;
+    assert.equal(wallet.snapshots, 2);
+    assert.equal(wallet.nodePoints, snapshots[1].nodePoints);
+    assert.equal(wallet.days.length, 1);
+    assert.equal(wallet.stalled, false);
+});
+
+test('signs through a JSON-RPC remote signer', async () => {
+    const wallet = Wallet.createRandom();
+    const signerServer = createMockSigner(wallet);
+    const url = await signerServer.start();
+
+    try {
+        for (const method of ['personal_sign', 'eth_sign']) {
+            const signer = new RemoteSigner({ url, address: wallet.address, method });
+            await signer.verify();
+        }
+
+        const impostor = new RemoteSigner({ url, address: Wallet.createRandom().address });
+        await assert.rejects(impostor.verify(), /cannot sign/);
+    } finally {
+        await signerServer.stop();
+    }
+});
+
+test('runs a single command for one wallet through the CLI', async () => {
+    const wallets = [Wallet.createRandom(), Wallet.createRandom()];
+    await fs.writeFile(path.join(dir, 'wallets.json'), JSON.stringify(wallets.map(({ address, privateKey }) => ({ address, privateKey }))));
+    await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({
+        api: { referralBaseUrl: baseUrl, dashboardBaseUrl: baseUrl },
+        request: { retries: 2, timeout: 2000 }
+    }));
+
+    const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+    const { stdout } = await promisify(execFile)('node', [cli, 'node', 'start', '--wallet', wallets[1].address, '--json'], { cwd: dir });
+    const { command, results } = JSON.parse(stdout);
+
+    assert.equal(command, 'node start');
+    assert.deepEqual(results.map(result => [result.wallet, result.ok]), [[wallets[1].address, true]]);
+    assert.ok(server.wallets.get(wallets[1].address.toLowerCase()).startTimestamp);
+    assert.equal(server.wallets.has(wallets[0].address.toLowerCase()), false);
+});
+
+test('exits with the lock status while another run holds the lockfile', async () => {
+    const wallet = Wallet.createRandom();
+    await fs.writeFile(path.join(dir, 'wallets.json'), JSON.stringify([{ address: wallet.address, privateKey: wallet.privateKey }]));
+    await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({ api: { referralBaseUrl: baseUrl, dashboardBaseUrl: baseUrl } }));
+    await fs.writeFile(path.join(dir, 'layeredge.lock'), JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() }));
+
+    const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+    await assert.rejects(promisify(execFile)('node', [cli, 'run', '--once'], { cwd: dir }), { code: 4 });
+    assert.equal(server.requests.length, 0);
+});
+
+test('reconnects a stopped node before honouring a shutdown', async () => {
+    const config = testConfig({ node: { claimAfter: 1 } });
+    const socket = new LayerEdgeConnection(null, Signer.createRandom(), config);
+    const state = await new StateStore(config.files.state).load();
+    await socket.connectNode();
+
+    const controller = new AbortController();
+    const stopNode = socket.stopNode.bind(socket);
+    socket.stopNode = async () => {
+        const ok = await stopNode();
+        controller.abort('SIGTERM');
+        return ok;
+    };
+
+    const results = await runPipeline(socket, state, {}, { signal: controller.signal });
+
+    assert.equal(results.stopNode, 'success');
+    assert.equal(results.connectNode, 'success');
+    assert.equal(results.claimLightNodePoints, 'interrupted');
+    assert.equal(results.checkNodePoints, 'interrupted');
+    assert.ok(server.wallets.get(socket.signer.address.toLowerCase()).startTimestamp, 'node should be running again');
+    assert.ok(state.isDue(socket.signer.address, 'checkNodePoints'), 'interrupted tasks stay due');
+});
+
+test('resumes an owed reconnect after the process died mid-restart', async () => {
+    const config = testConfig();
+    const { signer, socket, state } = await runWallet(config);
+
+    // As if the process was killed between stopNode and connectNode
+    await socket.stopNode();
+    state.recordPending(signer.address, 'connectNode');
+    await state.save();
+
+    const resumed = await new StateStore(config.files.state).load();
+    const results = await runPipeline(socket, resumed);
+
+    assert.equal(results.connectNode, 'success');
+    assert.equal(results.stopNode, 'skipped');
+    assert.ok(server.wallets.get(signer.address.toLowerCase()).startTimestamp);
+});
+
+test('supervisor restarts only nodes that report themselves down', async () => {
+    const config = testConfig();
+    const state = await new StateStore(config.files.state).load();
+    const wallets = [Signer.createRandom(), Signer.createRandom(), Signer.createRandom()]
+        .map(signer => ({ address: signer.address, signer, proxy: null, tasks: {} }));
+    const supervisor = new NodeSupervisor({
+        wallets,
+        state,
+        pollInterval: 60000,
+        connect: ({ signer }) => new LayerEdgeConnection(null, signer, config)
+    });
+
+    // The malformed fault hits the first wallet polled
+    const [unknown, down, up] = wallets;
+    await new LayerEdgeConnection(null, up.signer, config).connectNode();
+    server.requests.length = 0;
+    server.inject({ route: 'node-status', type: 'malformed' });
+    await supervisor.poll();
+
+    const starts = server.requests.filter(request => request.route === 'node-action').map(request => request.path);
+    assert.deepEqual(starts, [`/api/light-node/node-action/${down.address}/start`]);
+    assert.equal(supervisor.uptime(down.address).restarts, 1);
+    assert.equal(supervisor.uptime(up.address).status, 'up');
+    assert.equal(supervisor.uptime(unknown.address).status, null);
+
+    // Observed a moment ago, so the next poll leaves the healthy wallets alone
+    server.requests.length = 0;
+    await supervisor.poll();
+    assert.equal(server.requests.filter(request => request.route === 'node-status').length, 1);
+});
+
+test('supervisor accounts uptime between observations', () => {
+    const state = new StateStore(path.join(dir, 'state.json'));
+    const supervisor = new NodeSupervisor({ wallets: [], state, pollInterval: 60000 });
+    const start = Date.parse('2026-01-01T00:00:00Z');
+
+    supervisor.observe('0xabc', { running: true }, start);
+    supervisor.observe('0xabc', { running: false }, start + 30 * 60000);
+    supervisor.observe('0xabc', { running: true }, start + 40 * 60000);
+    supervisor.observe('0xabc', { running: true }, start + 10 * 60 * 60000);
+
+    const stats = supervisor.uptime('0xabc');
+    assert.equal(stats.upMs, 30 * 60000, 'the long gap is not counted');
+    assert.equal(stats.downMs, 10 * 60000);
+    assert.equal(stats.uptime, 0.75);
+    assert.equal(stats.since, new Date(start + 40 * 60000).toISOString());
+});
+
+test('counts an already completed task as done', async () => {
+    const config = testConfig();
+    const { socket } = await runWallet(config);
+
+    // Same wallet with its schedule forgotten: the API answers "task already completed"
+    const fresh = await new StateStore(path.join(dir, 'fresh-state.json')).load();
+    const results = await runPipeline(socket, fresh, { dailyCheckIn: { enabled: false } });
+
+    assert.equal(results.claimLightNodePoints, 'success');
+    assert.equal(results.claimProofSubmissionPoints, 'success');
+});
+
+test('skips tasks disabled for a wallet and the tasks that depend on them', async () => {
+    const config = testConfig();
+    const signer = Signer.createRandom();
+    const socket = new LayerEdgeConnection(null, signer, config);
+    const state = await new StateStore(config.files.state).load();
+    const steps = {};
+
+    const results = await runPipeline(socket, state, { submitProof: { enabled: false } }, { steps });
+
+    assert.equal(results.submitProof, 'disabled');
+    assert.equal(results.claimProofSubmissionPoints, 'disabled');
+    assert.equal(steps.submitProof.note, 'Disabled for this wallet');
+    assert.equal(steps.claimProofSubmissionPoints.note, 'Dependency submitProof is disabled');
+    assert.equal(results.dailyCheckIn, 'success');
+    assert.deepEqual(state.task(signer.address, 'submitProof'), {}, 'a disabled task is never recorded');
+    assert.ok(!server.requests.some(request => request.route === 'send-proof'));
+});
+
+test('fails a task that runs past its per-wallet timeout', async () => {
+    server.inject({ route: 'wallet-details', type: 'slow', delay: 600 });
+    const config = testConfig();
+    const signer = Signer.createRandom();
+    const socket = new LayerEdgeConnection(null, signer, config);
+    const state = await new StateStore(config.files.state).load();
+    const steps = {};
+
+    const results = await runPipeline(socket, state, { checkNodePoints: { timeout: 100 } }, { steps });
+
+    assert.equal(results.checkNodePoints, 'failed');
+    assert.equal(steps.checkNodePoints.error, 'Error: Task checkNodePoints timed out after 0.1s');
+    assert.equal(state.task(signer.address, 'checkNodePoints').lastStatus, 'failed');
+});
+
+test('blocks a task until the dependency that failed is retried', async () => {
+    server.inject({ route: 'send-proof', type: 'error', status: 403 });
+    const config = testConfig();
+    const signer = Signer.createRandom();
+    const socket = new LayerEdgeConnection(null, signer, config);
+    const state = await new StateStore(config.files.state).load();
+    const steps = {};
+
+    const results = await runPipeline(socket, state, {}, { steps });
+
+    assert.equal(results.submitProof, 'failed');
+    assert.equal(results.claimProofSubmissionPoints, 'blocked');
+    assert.equal(steps.claimProofSubmissionPoints.note, 'Waiting for submitProof');
+    const blocked = state.task(signer.address, 'claimProofSubmissionPoints');
+    assert.equal(blocked.lastStatus, 'blocked');
+    assert.equal(blocked.nextEligible, state.task(signer.address, 'submitProof').nextEligible);
+    assert.ok(!server.requests.some(request => request.path === '/api/task/proof-submission'));
+});
+
+test('notifies failures, cooldowns and the cycle summary', async () => {
+    server.inject({ route: 'claim-node-points', type: 'cooldown' });
+    server.inject({ route: 'wallet-details', type: 'error', status: 403 });
+    const config = testConfig();
+    const sent = [];
+    const notifier = new Notifier({ ...config.notify, webhooks: [{ type: 'generic', url: 'https://hooks.example' }] }, {
+        send: async (url, body) => sent.push(body)
+    });
+    const signer = Signer.createRandom();
+    const wallets = [{ address: signer.address, signer, proxy: null, tasks: {} }];
+    const state = await new StateStore(config.files.state).load();
+
+    const cycle = await runCycle({ config, wallets, state, notifier });
+
+    assert.equal(cycle[signer.address].checkNodePoints, 'failed');
+    assert.deepEqual(sent.map(({ event }) => event), ['walletFailed', 'cooldown', 'cycleSummary']);
+    assert.equal(sent[0].text, 'Failed tasks: checkNodePoints');
+    assert.equal(sent[1].fields.task, 'dailyCheckIn');
+    assert.deepEqual(sent[2].fields, { wallets: 1, ok: 0, failed: 1, crashed: 0 });
+});
+
+test('exports task, request and node metrics', async () => {
+    resetMetrics();
+    server.inject({ route: 'wallet-details', type: 'error', status: 500, times: 1 });
+    const { signer } = await runWallet();
+    const text = renderMetrics();
+
+    assert.match(text, new RegExp(`^layeredge_task_runs_total\\{wallet="${signer.address}",task="dailyCheckIn",status="success"\\} 1$`, 'm'));
+    assert.match(text, new RegExp(`^layeredge_node_points\\{wallet="${signer.address}"\\} \\d+$`, 'm'));
+    assert.match(text, new RegExp(`^layeredge_node_running\\{wallet="${signer.address}"\\} 1$`, 'm'), 'the status seen by the pipeline is exported');
+    assert.match(text, /^layeredge_request_retries_total\{endpoint="GET http:\/\/127\.0\.0\.1:\d+\/api\/referral\/wallet-details\/:address",reason="HTTP 500"\} 1$/m);
+    assert.match(text, /^layeredge_request_duration_seconds_count\{endpoint="POST [^"]+\/light-node\/claim-node-points",status="200"\} \d+$/m);
+});
+
+test('a dry run exports no metrics', async () => {
+    resetMetrics();
+    const config = testConfig();
+    const signer = Signer.createRandom();
+    const wallets = [{ address: signer.address, signer, proxy: null, tasks: {} }];
+    const state = await new StateStore(config.files.state, { readOnly: true }).load();
+
+    const cycle = await runCycle({ config, wallets, state, dryRun: new DryRun() });
+
+    assert.ok(Object.values(cycle[signer.address]).every(status => status === 'success'));
+    assert.deepEqual(renderMetrics().split('\n').filter(line => line && !line.startsWith('#')), []);
+});
+
+test('reports every step of a cycle through once --json and the summary file', async () => {
+    server.inject({ route: 'wallet-details', type: 'error', status: 403 });
+    const wallet = Wallet.createRandom();
+    await fs.writeFile(path.join(dir, 'wallets.json'), JSON.stringify([{ address: wallet.address, privateKey: wallet.privateKey }]));
+    await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({
+        api: { referralBaseUrl: baseUrl, dashboardBaseUrl: baseUrl },
+        request: { retries: 2, timeout: 2000 }
+    }));
+
+    const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+    const error = await promisify(execFile)('node', [cli, 'once', '--json'], { cwd: dir }).catch(error => error);
+    assert.equal(error.code, 2);
+
+    const [result] = JSON.parse(error.stdout).results;
+    assert.equal(result.wallet, wallet.address);
+    assert.equal(result.ok, false);
+    assert.equal(result.steps.dailyCheckIn.status, 'success');
+    assert.equal(typeof result.steps.dailyCheckIn.durationMs, 'number');
+    assert.equal(result.steps.checkNodePoints.status, 'failed');
+    assert.match(result.steps.checkNodePoints.error, /^ApiError: walletDetails: /);
+
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'cycle-summary.json'), 'utf-8'));
+    assert.deepEqual(saved.wallets, [result]);
+    assert.match(error.stderr, /Cycle summary/);
+});
+
+test('a dry run signs every due step without sending or saving state', async () => {
+    const wallet = Wallet.createRandom();
+    await fs.writeFile(path.join(dir, 'wallets.json'), JSON.stringify([{ address: wallet.address, privateKey: wallet.privateKey }]));
+    await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({ api: { referralBaseUrl: baseUrl, dashboardBaseUrl: baseUrl } }));
+
+    const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+    const { stdout } = await promisify(execFile)('node', [cli, 'once', '--json', '--dry-run-file', 'requests.jsonl'], { cwd: dir });
+
+    const [result] = JSON.parse(stdout).results;
+    assert.equal(result.ok, true);
+    assert.ok(Object.values(result.steps).every(step => step.status === 'success'));
+    assert.equal(server.requests.length, 0);
+
+    const saved = (await fs.readFile(path.join(dir, 'requests.jsonl'), 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(saved.length, Object.keys(result.steps).length);
+    const checkIn = saved.find(request => request.url.endsWith('/light-node/claim-node-points'));
+    assert.equal(verifyMessage(checkIn.message, checkIn.signature), wallet.address);
+    assert.equal(checkIn.body.sign, checkIn.signature);
+
+    for (const file of ['state.json', 'cycle-summary.json', 'audit-log.jsonl', 'layeredge.lock']) {
+        await assert.rejects(fs.access(path.join(dir, file)), { code: 'ENOENT' }, file);
+    }
+});
@@ -0,0 +1,39 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { acquireLock, LockError } from '../utils/lockfile.js';
+
+const dirs = [];
+
+async function lockPath() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-lock-'));
+    dirs.push(dir);
+    return path.join(dir, 'layeredge.lock');
+}
+
+after(async () => {
+    await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+test('refuses a second lock while the first is held', async () => {
+    const file = await lockPath();
+    const release = await acquireLock(file);
+
+    await assert.rejects(acquireLock(file), LockError);
+
+    release();
+    await assert.rejects(fs.access(file));
+    (await acquireLock(file))();
+});
+
+test('takes over a lock left by a process that is gone', async () => {
+    const file = await lockPath();
+    // Well above any pid_max, so it can never belong to a live process
+    await fs.writeFile(file, JSON.stringify({ pid: 2 ** 30, host: os.hostname(), startedAt: new Date(0).toISOString() }));
+
+    const release = await acquireLock(file);
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf-8')).pid, process.pid);
+    release();
+});
@@ -0,0 +1,61 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Histogram, metrics, renderMetrics, resetMetrics, startMetricsServer } from '../utils/metrics.js';
+
+beforeEach(() => resetMetrics());
+
+test('renders counters and histograms in the Prometheus text format', () => {
+    const counter = new Counter('test_total', 'A test counter');
+    counter.inc({ wallet: '0xabc', task: 'say "hi"' });
+    counter.inc({ wallet: '0xabc', task: 'say "hi"' }, 2);
+    assert.deepEqual(counter.render(), [
+        '# HELP test_total A test counter',
+        '# TYPE test_total counter',
+        'test_total{wallet="0xabc",task="say \\"hi\\""} 3'
+    ]);
+
+    const histogram = new Histogram('test_seconds', 'A test histogram', [0.5, 1]);
+    histogram.observe({ endpoint: 'GET /x' }, 0.2);
+    histogram.observe({ endpoint: 'GET /x' }, 0.7);
+    histogram.observe({ endpoint: 'GET /x' }, 3);
+    assert.deepEqual(histogram.render().slice(2), [
+        'test_seconds_bucket{endpoint="GET /x",le="0.5"} 1',
+        'test_seconds_bucket{endpoint="GET /x",le="1"} 2',
+        'test_seconds_bucket{endpoint="GET /x",le="+Inf"} 3',
+        'test_seconds_sum{endpoint="GET /x"} 3.9',
+        'test_seconds_count{endpoint="GET /x"} 3'
+    ]);
+});
+
+test('serves /metrics and a /healthz that goes stale without cycles', async () => {
+    metrics.nodePoints.set({ wallet: '0xabc' }, 42);
+    const server = await startMetricsServer({ host: '127.0.0.1', port: 0, maxCycleAge: 60000 });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const scrape = await fetch(`${base}/metrics`);
+        assert.equal(scrape.status, 200);
+        assert.match(scrape.headers.get('content-type'), /^text\/plain/);
+        assert.match(await scrape.text(), /^layeredge_node_points\{wallet="0xabc"\} 42$/m);
+
+        const fresh = await fetch(`${base}/healthz`);
+        assert.equal(fresh.status, 200);
+        assert.equal((await fresh.json()).lastSuccessfulCycle, null);
+
+        metrics.lastSuccessfulCycle.set({}, Math.floor(Date.now() / 1000) - 120);
+        const stale = await fetch(`${base}/healthz`);
+        assert.equal(stale.status, 503);
+        assert.equal((await stale.json()).status, 'stale');
+
+        assert.equal((await fetch(`${base}/nope`)).status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('every exported metric has help and type lines', () => {
+    const text = renderMetrics();
+    for (const { name, type } of Object.values(metrics)) {
+        assert.match(text, new RegExp(`^# TYPE ${name} ${type}$`, 'm'));
+    }
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Notifier, validateWebhooks, webhookFromUrl } from '../utils/notifier.js';
+import { DEFAULT_CONFIG } from '../utils/config.js';
+
+function notifier(webhooks, options = {}) {
+    const sent = [];
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    const instance = new Notifier({ ...DEFAULT_CONFIG.notify, webhooks, ...options }, {
+        send: async (url, body) => sent.push({ url, body }),
+        now: () => now
+    });
+    return { notifier: instance, sent, advance: ms => { now += ms; } };
+}
+
+test('formats messages for generic, Discord and Telegram webhooks', async () => {
+    const { notifier: notify, sent } = notifier([
+        { type: 'generic', url: 'https://hooks.example/layeredge' },
+        { type: 'discord', url: 'https://discord.com/api/webhooks/1/abc' },
+        { type: 'telegram', token: '123:abc', chatId: '-100' }
+    ]);
+
+    await notify.walletFailed('0xabc', 'Failed tasks: dailyCheckIn');
+
+    assert.deepEqual(sent.map(({ url }) => url), [
+        'https://hooks.example/layeredge',
+        'https://discord.com/api/webhooks/1/abc',
+        'https://api.telegram.org/bot123:abc/sendMessage'
+    ]);
+    assert.equal(sent[0].body.event, 'walletFailed');
+    assert.equal(sent[0].body.wallet, '0xabc');
+    assert.equal(sent[1].body.content, '**❌ Wallet 0xabc failed**\nFailed tasks: dailyCheckIn');
+    assert.deepEqual(sent[2].body, { chat_id: '-100', text: '❌ Wallet 0xabc failed\nFailed tasks: dailyCheckIn', disable_web_page_preview: true });
+});
+
+test('drops duplicates within the dedup window', async () => {
+    const { notifier: notify, sent, advance } = notifier([{ type: 'generic', url: 'https://hooks.example' }]);
+
+    await notify.nodeDown('0xabc', 'Found stopped between cycles, restarting');
+    await notify.nodeDown('0xabc', 'Found stopped between cycles, restarting');
+    await notify.nodeDown('0xdef', 'Found stopped between cycles, restarting');
+    await notify.cooldown('0xabc', 'dailyCheckIn', Date.now() + 1000);
+    await notify.cooldown('0xabc', 'dailyCheckIn', Date.now() + 2000);
+    assert.equal(sent.length, 3);
+
+    advance(DEFAULT_CONFIG.notify.dedupWindow);
+    await notify.nodeDown('0xabc', 'Found stopped between cycles, restarting');
+    assert.equal(sent.length, 4);
+});
+
+test('rate limits each webhook and reports what was dropped', async () => {
+    const { notifier: notify, sent, advance } = notifier(
+        [{ type: 'generic', url: 'https://hooks.example' }],
+        { rateLimit: { max: 2, window: 60000 } }
+    );
+
+    for (let i = 0; i < 5; i++) {
+        await notify.walletFailed(`0x${i}`, 'crashed');
+    }
+    assert.equal(sent.length, 2);
+
+    advance(60000);
+    await notify.walletFailed('0x9', 'crashed');
+    assert.equal(sent.length, 3);
+    assert.match(sent[2].body.text, /3 earlier notification\(s\) dropped/);
+});
+
+test('only sends the events a webhook subscribed to and never throws', async () => {
+    const failing = new Notifier({ ...DEFAULT_CONFIG.notify, webhooks: [
+        { type: 'generic', url: 'https://hooks.example', events: ['cycleSummary'] }
+    ] }, { send: async () => { throw new Error('connect ECONNREFUSED'); } });
+
+    await failing.walletFailed('0xabc', 'crashed');
+    await failing.cycleSummary({ '0xabc': null, '0xdef': { dailyCheckIn: 'failed', submitProof: 'success' } });
+});
+
+test('summarises a cycle', async () => {
+    const { notifier: notify, sent } = notifier([{ type: 'generic', url: 'https://hooks.example' }]);
+    const cycle = { '0xabc': null, '0xdef': { dailyCheckIn: 'failed', submitProof: 'success' }, '0x123': { dailyCheckIn: 'success' } };
+
+    await notify.cycleSummary(cycle);
+    await notify.cycleSummary(cycle);
+
+    assert.equal(sent.length, 2, 'summaries are never deduplicated');
+    assert.deepEqual(sent[0].body.fields, { wallets: 3, ok: 1, failed: 1, crashed: 1 });
+    assert.equal(sent[0].body.text, [
+        '3 wallet(s) processed: 1 ok, 1 with failed tasks, 1 crashed',
+        '0xdef: dailyCheckIn failed',
+        '0xabc: crashed'
+    ].join('\n'));
+});
+
+test('validates webhook settings', () => {
+    assert.deepEqual(validateWebhooks([
+        { type: 'generic', url: 'https://hooks.example' },
+        { type: 'telegram', token: '123:abc', chatId: '-100', events: ['nodeDown'] }
+    ]), []);
+    assert.deepEqual(validateWebhooks([{ type: 'slack', url: 'ftp://x' }, { type: 'telegram' }, { type: 'discord', url: 'https://d', events: ['oops'] }]).map(([field]) => field), [
+        'notify.webhooks[0].type',
+        'notify.webhooks[0].url',
+        'notify.webhooks[1].token',
+        'notify.webhooks[1].chatId',
+        'notify.webhooks[2].events'
+    ]);
+    assert.equal(webhookFromUrl('https://discord.com/api/webhooks/1/abc').type, 'discord');
+    assert.equal(webhookFromUrl('https://hooks.example').type, 'generic');
+});
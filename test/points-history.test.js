@@ -0,0 +1,29 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readPoints } from '../utils/points-history.js';
+
+let dir;
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('skips malformed and truncated lines', async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-points-'));
+    const file = path.join(dir, 'points-history.jsonl');
+    const wallet = '0x0000000000000000000000000000000000000001';
+    const snapshot = (time, nodePoints) => JSON.stringify({ time, wallet, nodePoints, details: { nodePoints } });
+    await fs.writeFile(file, [
+        snapshot('2026-01-02T00:00:00.000Z', 20),
+        'not json',
+        JSON.stringify({ time: '2026-01-01T12:00:00.000Z' }),
+        snapshot('2026-01-01T00:00:00.000Z', 10),
+        snapshot('2026-01-03T00:00:00.000Z', 30).slice(0, 50)
+    ].join('\n'));
+
+    const snapshots = await readPoints(file);
+    assert.deepEqual(snapshots.map(({ nodePoints }) => nodePoints), [10, 20]);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../utils/request-handler.js';
+
+test('opens after threshold failed attempts and lets one trial through once cooled down', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'closed');
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.openedAt -= 1000;
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false, 'only one trial while it is in flight');
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open', 'a failed trial reopens the breaker');
+
+    breaker.openedAt -= 1000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.releaseTrial();
+    assert.equal(breaker.allowRequest(), true, 'a released trial frees the slot');
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), true);
+});
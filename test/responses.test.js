@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decode, parseCooldown, ENDPOINTS } from '../utils/responses.js';
+import {
+    ApiError,
+    CooldownError,
+    AlreadyClaimedError,
+    InvalidSignatureError,
+    NotRegisteredError,
+    SchemaChangedError
+} from '../utils/api-errors.js';
+
+const response = (status, data) => ({ status, data });
+
+test('decodes typed results', () => {
+    assert.deepEqual(decode('nodeStatus', response(200, { data: { startTimestamp: null } })), { running: false, startTimestamp: null });
+    assert.deepEqual(decode('nodeStatus', response(200, { data: { startTimestamp: 1700000000 } })), { running: true, startTimestamp: 1700000000 });
+    assert.equal(decode('walletDetails', response(200, { data: { nodePoints: 42, extra: true } })).nodePoints, 42);
+});
+
+test('maps rejections to named errors', () => {
+    const started = Date.now();
+    assert.throws(
+        () => decode('dailyCheckIn', response(405, { statusCode: 405, message: 'can not claim node points twice in 24 hours, come back after 1h 0m 0s!' })),
+        error => error instanceof CooldownError && error.until >= started + 60 * 60 * 1000 && error.until <= Date.now() + 60 * 60 * 1000
+    );
+    assert.throws(() => decode('claimTask', response(405, { statusCode: 405, message: 'task already completed' })), AlreadyClaimedError);
+    assert.throws(() => decode('nodeAction', response(401, { message: 'invalid signature' })), InvalidSignatureError);
+    assert.throws(() => decode('sendProof', response(200, { success: false, message: 'invalid signature' })), InvalidSignatureError);
+    assert.throws(() => decode('nodeStatus', response(404, { message: 'wallet not registered' })), NotRegisteredError);
+    assert.throws(() => decode('claimTask', response(405, { message: 'proof not submitted yet' })), error => error.constructor === ApiError);
+    assert.throws(() => decode('walletDetails', null), ApiError);
+});
+
+test('reports schema changes instead of crashing', () => {
+    assert.throws(() => decode('nodeStatus', response(200, { message: 'ok' })), error =>
+        error instanceof SchemaChangedError && error.problems[0] === 'data: missing');
+    assert.throws(() => decode('walletDetails', response(200, { data: { nodePoints: '42' } })), error =>
+        error instanceof SchemaChangedError && error.problems[0] === 'data.nodePoints: expected number, got string');
+    assert.throws(() => decode('nodeAction', response(200, '<html>maintenance</html>')), SchemaChangedError);
+});
+
+test('parses cooldown durations and dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.equal(parseCooldown('23h 59m 10s', now), now + (23 * 3600 + 59 * 60 + 10) * 1000);
+    assert.equal(parseCooldown('2026-01-02T00:00:00Z', now), Date.parse('2026-01-02T00:00:00Z'));
+    assert.equal(parseCooldown('soon', now), null);
+});
+
+test('every endpoint has a dry-run body that decodes as a success', () => {
+    for (const [endpoint, spec] of Object.entries(ENDPOINTS)) {
+        assert.doesNotThrow(() => decode(endpoint, response(200, spec.dryRun)), endpoint);
+    }
+    assert.deepEqual(decode('nodeStatus', response(200, ENDPOINTS.nodeStatus.dryRun)), { running: true, startTimestamp: 0 });
+});
@@ -0,0 +1,103 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { Wallet } from "ethers";
+import { loadSigners, validateWallets, encryptWalletsFile } from '../utils/signer.js';
+
+const dirs = [];
+const PASSPHRASE = 'correct horse battery staple';
+
+async function walletsFile(entries) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-signer-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'wallets.json');
+    await fs.writeFile(file, JSON.stringify(entries));
+    return file;
+}
+
+after(async () => {
+    await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+test('a key with surrounding whitespace validates and loads as the same wallet', async () => {
+    const wallet = Wallet.createRandom();
+    const file = await walletsFile([{ address: wallet.address, privateKey: `  ${wallet.privateKey}\n` }]);
+
+    assert.deepEqual(await validateWallets(file), { wallets: 1, issues: [] });
+    const [loaded] = await loadSigners(file);
+    assert.equal(loaded.address, wallet.address);
+    assert.equal(loaded.plaintext, true);
+});
+
+test('keeps an entry whose mnemonic belongs to another key instead of dropping the phrase', async () => {
+    const wallet = Wallet.createRandom();
+    const other = Wallet.createRandom();
+    const entries = [{ address: wallet.address, privateKey: wallet.privateKey, mnemonic: other.mnemonic.phrase }];
+    const file = await walletsFile(entries);
+
+    assert.deepEqual(await encryptWalletsFile('correct horse', file), { migrated: 0, refused: [1] });
+    assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf-8')), entries);
+});
+
+// getPassphrase() caches per process, so the wrong passphrase gets a process of its own
+async function loadInChild(file, passphrase) {
+    const signer = new URL('../utils/signer.js', import.meta.url).href;
+    const script = `const { loadSigners } = await import(${JSON.stringify(signer)}); console.log((await loadSigners(${JSON.stringify(file)})).map(w => w.address).join());`;
+    return promisify(execFile)('node', ['--input-type=module', '-e', script], { env: { ...process.env, LAYEREDGE_PASSPHRASE: passphrase } });
+}
+
+test('encrypted wallets load with the right passphrase and not with a wrong one', async () => {
+    const wallet = Wallet.createRandom();
+    const file = await walletsFile([{ address: wallet.address, privateKey: wallet.privateKey, mnemonic: wallet.mnemonic.phrase, tasks: { submitProof: { enabled: false } } }]);
+
+    assert.deepEqual(await encryptWalletsFile(PASSPHRASE, file), { migrated: 1, refused: [] });
+    const [entry] = JSON.parse(await fs.readFile(file, 'utf-8'));
+    assert.equal(entry.privateKey, undefined);
+    assert.equal(entry.mnemonic, undefined);
+    assert.equal(entry.keystore.address.toLowerCase(), wallet.address.slice(2).toLowerCase());
+    assert.deepEqual(entry.tasks, { submitProof: { enabled: false } });
+    assert.deepEqual(await validateWallets(file), { wallets: 1, issues: [] });
+
+    process.env.LAYEREDGE_PASSPHRASE = PASSPHRASE;
+    const [loaded] = await loadSigners(file);
+    assert.equal(loaded.address, wallet.address);
+    assert.equal(loaded.plaintext, false);
+    assert.deepEqual(loaded.tasks, { submitProof: { enabled: false } });
+
+    await assert.rejects(loadInChild(file, 'wrong passphrase'), error => {
+        assert.ok(error.stderr.includes(`Failed to decrypt wallet #1 in ${file}: incorrect passphrase`), error.stderr);
+        return true;
+    });
+});
+
+test('reports placeholder keys, mismatched addresses and duplicates per wallet', async () => {
+    const first = Wallet.createRandom();
+    const second = Wallet.createRandom();
+    const file = await walletsFile([
+        { address: first.address, privateKey: first.privateKey },
+        { address: 'YOUR ADDRESS 2', privateKey: 'YOUR PK 2' },
+        { address: second.address, privateKey: first.privateKey },
+        { address: second.address, privateKey: second.privateKey },
+        { address: second.address, privateKey: second.privateKey.slice(0, 20) }
+    ]);
+
+    const { wallets, issues } = await validateWallets(file);
+    assert.equal(wallets, 5);
+    assert.deepEqual(issues.map(({ wallet, field }) => [wallet, field]), [
+        [2, 'address'],
+        [2, 'privateKey'],
+        [3, 'address'],
+        [3, null],
+        [5, 'privateKey'],
+        [5, null]
+    ]);
+    assert.match(issues[1].message, /placeholder private key/);
+    assert.equal(issues[2].message, `address ${second.address} does not match its key (${first.address})`);
+    assert.equal(issues[3].message, `duplicate of wallet #1 (${first.address})`);
+    assert.match(issues[4].message, /malformed private key/);
+    assert.equal(issues[5].message, `duplicate of wallet #4 (${second.address})`, 'a wallet with a bad key is still matched by address');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from "ethers";
+import { assertSignable, SigningPolicyError } from '../utils/signing-policy.js';
+import { Signer } from '../utils/signer.js';
+import logger from '../utils/logger.js';
+
+const address = Wallet.createRandom().address;
+const other = Wallet.createRandom().address;
+
+// Runs `fn` with the log silenced and returns the entries it logged
+function logged(fn) {
+    const entries = [];
+    const settings = logger.settings;
+    logger.configure({ ...settings, stream: 'none' });
+    const unsubscribe = logger.subscribe(entry => entries.push(entry));
+    try {
+        fn();
+    } finally {
+        unsubscribe();
+        logger.configure(settings);
+    }
+    return entries;
+}
+
+test('accepts every LayerEdge template for the signer\'s own address', () => {
+    const now = Date.now();
+    assert.equal(assertSignable(`Node activation request for ${address} at ${now}`, address), 'node activation');
+    assert.equal(assertSignable(`Node deactivation request for ${address.toLowerCase()} at ${now}`, address), 'node deactivation');
+    assert.equal(assertSignable(`I am claiming my daily node point for ${address} at ${now}`, address), 'daily check-in');
+    assert.equal(assertSignable(`I am submitting a proof for LayerEdge at ${new Date(now).toISOString()}`, address), 'proof submission');
+    assert.equal(assertSignable(`I am claiming my proof submission node points for ${address} at ${now}`, address), 'proof points claim');
+    assert.equal(assertSignable(`I am claiming my light node run task node points for ${address} at ${now}`, address), 'light node points claim');
+});
+
+test('refuses unknown messages, other addresses and non-text payloads', () => {
+    assert.throws(() => assertSignable(`Node activation request for ${other} at ${Date.now()}`, address), {
+        name: 'SigningPolicyError',
+        message: `Refused to sign for ${address}: node activation message names another address (${other})`
+    });
+    assert.throws(() => assertSignable(`Node activation request for ${address} at ${Date.now()} and more`, address), SigningPolicyError);
+    assert.throws(() => assertSignable('0x1234', address), SigningPolicyError);
+    assert.throws(() => assertSignable(new Uint8Array([1, 2]), address), /only text messages/);
+});
+
+test('allows the remote signer check only as a probe', () => {
+    const probe = `LayerEdge signer check for ${address} at ${Date.now()}`;
+    assert.throws(() => assertSignable(probe, address), SigningPolicyError);
+    assert.equal(assertSignable(probe, address, { probe: true }), 'remote signer check');
+    assert.throws(() => assertSignable(`I am claiming my daily node point for ${address} at ${Date.now()}`, address, { probe: true }), SigningPolicyError);
+});
+
+test('logs every refusal with its payload', () => {
+    const entries = logged(() => {
+        assert.throws(() => assertSignable('Transfer all funds', address), SigningPolicyError);
+    });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'error');
+    assert.equal(entries[0].msg, '🚫 Signing policy violation');
+    assert.match(entries[0].value, /message does not match any allowed template - payload: "Transfer all funds"$/);
+});
+
+test('a local signer refuses before touching the key', async () => {
+    const signer = Signer.createRandom();
+    await assert.rejects(signer.signMessage(`I am claiming my daily node point for ${other} at ${Date.now()}`), SigningPolicyError);
+    assert.match(await signer.signMessage(`I am claiming my daily node point for ${signer.address} at ${Date.now()}`), /^0x[0-9a-f]{130}$/);
+});
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StateStore } from '../utils/state-store.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const dirs = [];
+
+async function stateFile() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layeredge-state-'));
+    dirs.push(dir);
+    return path.join(dir, 'state.json');
+}
+
+after(async () => {
+    await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+test('persists task state across instances', async () => {
+    const file = await stateFile();
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    const state = await new StateStore(file).load();
+    state.recordSuccess(WALLET, 'dailyCheckIn', now + 1000, now);
+    state.recordFailure(WALLET, 'submitProof', now + 500, now);
+    await state.save();
+
+    const reloaded = await new StateStore(file).load();
+    assert.deepEqual(reloaded.task(WALLET, 'dailyCheckIn'), {
+        lastAttempt: '2026-01-01T00:00:00.000Z',
+        lastStatus: 'success',
+        lastSuccess: '2026-01-01T00:00:00.000Z',
+        nextEligible: '2026-01-01T00:00:01.000Z'
+    });
+    assert.equal(reloaded.task(WALLET, 'submitProof').lastSuccess, undefined);
+    assert.equal(reloaded.nextEligible(WALLET, 'submitProof'), now + 500);
+});
+
+test('a task is due once its next eligible time has passed', async () => {
+    const state = new StateStore(await stateFile());
+    const now = Date.now();
+
+    assert.equal(state.isDue(WALLET, 'stopNode', now), true, 'a task never run is due');
+    state.recordSuccess(WALLET, 'stopNode', now + 1000, now);
+    assert.equal(state.isDue(WALLET, 'stopNode', now), false);
+    assert.equal(state.isDue(WALLET, 'stopNode', now + 1000), true);
+});
+
+test('an owed task is pending and due right away', async () => {
+    const state = new StateStore(await stateFile());
+    const now = Date.now();
+    state.recordSuccess(WALLET, 'connectNode', now + 60 * 60 * 1000, now);
+
+    state.recordPending(WALLET, 'connectNode', now);
+    assert.equal(state.isPending(WALLET, 'connectNode'), true);
+    assert.equal(state.isDue(WALLET, 'connectNode', now), true);
+
+    state.recordSuccess(WALLET, 'connectNode', now + 1000, now);
+    assert.equal(state.isPending(WALLET, 'connectNode'), false);
+});
+
+test('keeps saving after a write fails', async () => {
+    const file = await stateFile();
+    const state = new StateStore(path.join(path.dirname(file), 'missing', 'state.json'));
+    state.recordPending(WALLET, 'connectNode');
+
+    await assert.rejects(state.save(), { code: 'ENOENT' });
+
+    state.file = file;
+    await state.save();
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf-8')).wallets[WALLET].connectNode.lastStatus, 'pending');
+});
+
+test('a read-only store never writes', async () => {
+    const file = await stateFile();
+    const state = new StateStore(file, { readOnly: true });
+    state.recordPending(WALLET, 'connectNode');
+
+    await state.save();
+    await assert.rejects(fs.access(file), { code: 'ENOENT' });
+});
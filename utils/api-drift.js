@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import logger from './logger.js';
+import { typeOf } from './responses.js';
+import { writeJsonAtomic } from './json-file.js';
+
+const BASELINE_FILE = 'api-baseline.json';
+const MAX_DEPTH = 6;
+
+// Flattens a body into { "data.startTimestamp": "number", ... }. Array items
+// are described by their first element under "path[]".
+export function fingerprint(body, path = '', fields = {}, depth = 0) {
+    const type = typeOf(body);
+    fields[path || '(body)'] = type;
+    if (depth >= MAX_DEPTH) return fields;
+
+    if (type === 'object') {
+        for (const [key, value] of Object.entries(body)) {
+            fingerprint(value, path ? `${path}.${key}` : key, fields, depth + 1);
+        }
+    } else if (type === 'array' && body.length > 0) {
+        fingerprint(body[0], `${path}[]`, fields, depth + 1);
+    }
+    return fields;
+}
+
+// Addresses, numbers and timestamps vary per call; the wording is what we track
+export function normalizeMessage(message) {
+    return String(message)
+        .replace(/0x[0-9a-fA-F]{40}/g, '<address>')
+        .replace(/\d+/g, '<n>');
+}
+
+// Lines such as "+ data.newField: string", "- data.valid: boolean",
+// "~ data.nodePoints: number -> string" and '+ message "..."'. A field that
+// is null on either side is not reported, nullable fields flip all the time.
+export function diffFingerprints(baseline, observed) {
+    const diff = [];
+    for (const [path, type] of Object.entries(observed.fields)) {
+        const known = baseline.fields[path];
+        if (known === undefined) {
+            diff.push(`+ ${path}: ${type}`);
+        } else if (known !== type && known !== 'null' && type !== 'null') {
+            diff.push(`~ ${path}: ${known} -> ${type}`);
+        }
+    }
+    for (const [path, type] of Object.entries(baseline.fields)) {
+        if (!(path in observed.fields)) diff.push(`- ${path}: ${type}`);
+    }
+    if (observed.message !== null && !baseline.messages.includes(observed.message)) {
+        diff.push(`+ message "${observed.message}"`);
+    }
+    return diff;
+}
+
+// Compares every decoded response with a stored baseline per endpoint and
+// HTTP status. The first response of a kind becomes its baseline; later
+// differences are logged once per process as "API changed" and kept under
+// `changes` until accepted with `node cli.js api accept`.
+//
+// { "endpoints": { "nodeStatus 200": { "fields": {...}, "messages": [...] } },
+//   "changes": { "nodeStatus 200": { "fields", "messages", "diff", "firstSeen" } } }
+export class ApiDriftDetector {
+    constructor(file = BASELINE_FILE) {
+        this.file = file;
+        this.data = null;
+        this.reported = new Set();
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (this.data) return this;
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+            this.data = { endpoints: data.endpoints || {}, changes: data.changes || {} };
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.warn(`Ignoring unreadable API baseline ${this.file}`, err.message);
+            }
+            this.data = { endpoints: {}, changes: {} };
+        }
+        return this;
+    }
+
+    save() {
+        this.writing = this.writing.then(() => writeJsonAtomic(this.file, this.data)).catch(error => logger.warn('Failed to save API baseline', error.message));
+        return this.writing;
+    }
+
+    // Returns the diff lines for this response, empty when it matches
+    async check(endpoint, response) {
+        if (!response) return [];
+        await this.load();
+
+        const key = `${endpoint} ${response.status}`;
+        const body = response.data;
+        const observed = {
+            fields: fingerprint(body),
+            message: typeof body?.message === 'string' ? normalizeMessage(body.message) : null
+        };
+
+        const baseline = this.data.endpoints[key];
+        if (!baseline) {
+            this.data.endpoints[key] = { fields: observed.fields, messages: observed.message === null ? [] : [observed.message] };
+            logger.verbose('Recorded API baseline', key);
+            await this.save();
+            return [];
+        }
+
+        const diff = diffFingerprints(baseline, observed);
+        if (diff.length === 0) return [];
+
+        const signature = `${key}\n${diff.join('\n')}`;
+        if (!this.reported.has(signature)) {
+            this.reported.add(signature);
+            logger.warn(`⚠️ API changed: ${key}`, `\n${diff.join('\n')}\nReview and run "node cli.js api accept" once the bot is adapted`);
+
+            const change = this.data.changes[key];
+            this.data.changes[key] = {
+                fields: { ...change?.fields, ...observed.fields },
+                messages: [...new Set([...(change?.messages || []), ...(observed.message === null ? [] : [observed.message])])],
+                diff: [...new Set([...(change?.diff || []), ...diff])],
+                firstSeen: change?.firstSeen || new Date().toISOString()
+            };
+            await this.save();
+        }
+        return diff;
+    }
+
+    // Folds the recorded changes into the baseline
+    async accept() {
+        await this.load();
+        const accepted = Object.keys(this.data.changes);
+        for (const [key, change] of Object.entries(this.data.changes)) {
+            const baseline = this.data.endpoints[key] || { fields: {}, messages: [] };
+            this.data.endpoints[key] = {
+                fields: change.fields,
+                messages: [...new Set([...baseline.messages, ...change.messages])]
+            };
+        }
+        this.data.changes = {};
+        this.reported.clear();
+        await this.save();
+        return accepted;
+    }
+}
+
+// One instance per file, so every connection shares the baseline and the
+// "already reported" set
+const instances = new Map();
+
+export function getDriftDetector(file = BASELINE_FILE) {
+    if (!instances.has(file)) {
+        instances.set(file, new ApiDriftDetector(file));
+    }
+    return instances.get(file);
+}
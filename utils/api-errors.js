@@ -0,0 +1,52 @@
+// Named errors for LayerEdge API outcomes, so callers and the scheduler can
+// tell a cooldown from a bad signature without matching log text.
+export class ApiError extends Error {
+    constructor(message, { endpoint = null, status = null, body = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.endpoint = endpoint;
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// The action is rate limited; `until` is when it can be retried
+export class CooldownError extends ApiError {
+    constructor(message, details, until) {
+        super(message, details);
+        this.name = 'CooldownError';
+        this.until = until;
+    }
+}
+
+// The action was already done for this period, e.g. a task claimed twice
+export class AlreadyClaimedError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AlreadyClaimedError';
+    }
+}
+
+export class InvalidSignatureError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'InvalidSignatureError';
+    }
+}
+
+export class NotRegisteredError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotRegisteredError';
+    }
+}
+
+// A successful response no longer has the shape we decode; `problems` lists
+// the fields that did not match.
+export class SchemaChangedError extends ApiError {
+    constructor(message, details, problems) {
+        super(message, details);
+        this.name = 'SchemaChangedError';
+        this.problems = problems;
+    }
+}
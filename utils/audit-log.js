@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { verifyMessage } from "ethers";
+import logger from './logger.js';
+
+const AUDIT_FILE = 'audit-log.jsonl';
+const GENESIS_HASH = '0'.repeat(64);
+
+function hashEntry(entry) {
+    return createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+async function readText(file) {
+    try {
+        return await fs.readFile(file, 'utf-8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return '';
+        throw err;
+    }
+}
+
+function splitEntries(data) {
+    return data.split('\n').filter(line => line.trim().length > 0);
+}
+
+// Append-only JSONL trail of every signature the bot sends. Each line carries
+// the hash of the previous one, so editing or dropping a line breaks the chain.
+export class AuditLog {
+    constructor(file = AUDIT_FILE) {
+        this.file = file;
+        this.head = null;
+        // Set when the file ends in a partial line, which must not swallow the next entry
+        this.pendingNewline = false;
+        this.queue = Promise.resolve();
+    }
+
+    // The chain continues from the last readable entry. Unreadable lines at
+    // the end (usually a write cut short by a crash) are left in place for
+    // verify-audit to report instead of disabling the audit trail for good.
+    async _loadHead() {
+        const data = await readText(this.file);
+        const lines = splitEntries(data);
+        this.pendingNewline = data.length > 0 && !data.endsWith('\n');
+
+        for (let i = lines.length - 1; i >= 0; i--) {
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch {
+                continue;
+            }
+            if (i < lines.length - 1) {
+                this._warnUnreadable(lines.length - 1 - i, `continuing the chain from entry #${entry.seq}`);
+            }
+            return { seq: entry.seq, hash: entry.hash };
+        }
+
+        if (lines.length > 0) {
+            this._warnUnreadable(lines.length, 'starting a new chain');
+        }
+        return { seq: 0, hash: GENESIS_HASH };
+    }
+
+    _warnUnreadable(count, action) {
+        logger.warn(`Audit log ${this.file} ends with ${count} unreadable line(s)`, `${action}; run "npm run verify-audit" to check the file`);
+    }
+
+    async _append(record) {
+        if (!this.head) {
+            this.head = await this._loadHead();
+        }
+
+        const entry = {
+            seq: this.head.seq + 1,
+            timestamp: new Date().toISOString(),
+            address: record.address,
+            message: record.message,
+            signature: record.signature,
+            method: record.method.toUpperCase(),
+            endpoint: record.endpoint,
+            status: record.status ?? null,
+            response: record.response ?? null,
+            prevHash: this.head.hash
+        };
+        entry.hash = hashEntry(entry);
+
+        const prefix = this.pendingNewline ? '\n' : '';
+        await fs.appendFile(this.file, `${prefix}${JSON.stringify(entry)}\n`, { encoding: 'utf-8', mode: 0o600 });
+        this.pendingNewline = false;
+        this.head = { seq: entry.seq, hash: entry.hash };
+    }
+
+    // Writes are serialised so concurrent callers cannot interleave the chain
+    record(record) {
+        this.queue = this.queue
+            .then(() => this._append(record))
+            .catch(error => logger.error('Failed to write audit log entry', error.message));
+        return this.queue;
+    }
+}
+
+// One instance per file, so every writer shares the same chain head
+const instances = new Map();
+
+export function getAuditLog(file = AUDIT_FILE) {
+    if (!instances.has(file)) {
+        instances.set(file, new AuditLog(file));
+    }
+    return instances.get(file);
+}
+
+// Re-checks the hash chain and every signature. Returns the number of entries
+// checked and a list of problems, each tagged with its line number.
+export async function verifyAuditLog(file = AUDIT_FILE) {
+    const lines = splitEntries(await readText(file));
+    const problems = [];
+    let prev = { seq: 0, hash: GENESIS_HASH };
+
+    lines.forEach((line, i) => {
+        const lineNo = i + 1;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            problems.push({ line: lineNo, reason: 'not valid JSON' });
+            return;
+        }
+
+        const { hash, ...body } = entry;
+        if (entry.prevHash !== prev.hash) {
+            problems.push({ line: lineNo, reason: 'chain broken: prevHash does not match previous entry' });
+        }
+        if (entry.seq !== prev.seq + 1) {
+            problems.push({ line: lineNo, reason: `unexpected sequence number ${entry.seq}` });
+        }
+        if (hashEntry(body) !== hash) {
+            problems.push({ line: lineNo, reason: 'entry hash mismatch (entry was modified)' });
+        }
+
+        try {
+            const signer = verifyMessage(entry.message, entry.signature);
+            if (signer.toLowerCase() !== String(entry.address).toLowerCase()) {
+                problems.push({ line: lineNo, reason: `signature was made by ${signer}, not ${entry.address}` });
+            }
+        } catch (error) {
+            problems.push({ line: lineNo, reason: `invalid signature: ${error.shortMessage || error.message}` });
+        }
+
+        prev = { seq: entry.seq, hash };
+    });
+
+    return { entries: lines.length, problems };
+}
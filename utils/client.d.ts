@@ -0,0 +1,226 @@
+// Type declarations for utils/client.js
+
+export interface MessageSigner {
+    readonly address: string;
+    signMessage(message: string): Promise<string>;
+}
+
+export interface TransportRequest {
+    method: string;
+    url: string;
+    data?: unknown;
+    headers: Record<string, string>;
+    timeout: number;
+    httpsAgent?: unknown;
+    validateStatus: (status: number) => boolean;
+}
+
+export interface TransportResponse<T = unknown> {
+    status: number;
+    data: T;
+    headers?: Record<string, string>;
+}
+
+// Resolves to null when the request could not be completed
+export type Transport = (request: TransportRequest) => Promise<TransportResponse | null>;
+
+export interface ClientLogger {
+    verbose(message: string, value?: unknown): void;
+    info(message: string, value?: unknown): void;
+    success(message: string, value?: unknown): void;
+    warn(message: string, value?: unknown): void;
+}
+
+export interface AuditRecord {
+    address: string;
+    message: string;
+    signature: string;
+    method: string;
+    endpoint: string;
+    status?: number;
+    response?: string;
+}
+
+export interface AuditSink {
+    record(entry: AuditRecord): Promise<unknown>;
+}
+
+export interface DriftCheck {
+    check(endpoint: string, response: TransportResponse | null): Promise<string[]>;
+}
+
+// A request a dry run would have sent
+export interface DryRunRequest extends TransportRequest {
+    signed?: { message: string; signature: string };
+}
+
+export interface DryRunSink {
+    record(address: string, request: DryRunRequest): Promise<unknown>;
+}
+
+export interface ApiUrls {
+    referralBaseUrl: string;
+    dashboardBaseUrl: string;
+}
+
+export interface RequestConfig {
+    retries: number;
+    timeout: number;
+    backoff: { base: number; max: number };
+    maxRetryWait: number;
+    circuitBreaker: { threshold: number; cooldown: number };
+    headers: Record<string, string>;
+}
+
+export interface Config {
+    profile?: string | null;
+    refCode: string;
+    api: ApiUrls;
+    request: RequestConfig;
+    cycle: { interval: number };
+    node: { pollInterval: number; claimAfter: number };
+    shutdown: { stopNodes: boolean };
+    metrics: { enabled: boolean; host: string; port: number };
+    notify: {
+        webhooks: Array<{
+            type: 'generic' | 'discord' | 'telegram';
+            url?: string;
+            token?: string;
+            chatId?: string;
+            events?: Array<'walletFailed' | 'nodeDown' | 'cooldown' | 'cycleSummary'>;
+        }>;
+        dedupWindow: number;
+        rateLimit: { max: number; window: number };
+    };
+    tasks: Record<string, { enabled?: boolean; timeout?: number }>;
+    files: {
+        wallets: string;
+        proxies: string;
+        state: string;
+        audit: string;
+        points: string;
+        lock: string;
+        apiBaseline: string;
+        summary: string;
+    };
+    log: {
+        level: 'debug' | 'verbose' | 'info' | 'success' | 'warn' | 'error';
+        format: 'pretty' | 'json';
+        // Empty disables the file sink
+        file: string;
+        maxSize: number;
+        maxFiles: number;
+    };
+    [key: string]: unknown;
+}
+
+export interface ClientOptions {
+    config?: Config;
+    signer: MessageSigner;
+    proxy?: string | null;
+    transport?: Transport | null;
+    logger?: ClientLogger;
+    refCode?: string;
+    api?: ApiUrls;
+    auditLog?: AuditSink | null;
+    drift?: DriftCheck | null;
+    pointsFile?: string | null;
+    dryRun?: DryRunSink | null;
+}
+
+export interface NodeStatus {
+    running: boolean;
+    startTimestamp: number | null;
+}
+
+export interface MessageResult {
+    message: string;
+}
+
+export interface NodeActionResult extends MessageResult {
+    startTimestamp: number | null;
+}
+
+export interface WalletDetails {
+    nodePoints: number;
+    [key: string]: unknown;
+}
+
+export class LayerEdgeClient {
+    constructor(options: ClientOptions);
+
+    readonly signer: MessageSigner;
+    readonly refCode: string;
+    readonly api: ApiUrls;
+    readonly proxy: string | null;
+    // undefined until checked, null when the status could not be read
+    nodeStatus: NodeStatus | null | undefined;
+
+    makeRequest(method: string, url: string, config?: Partial<TransportRequest> & {
+        signed?: { message: string; signature: string };
+    }): Promise<TransportResponse | null>;
+    decode(endpoint: string, response: TransportResponse | null): Promise<unknown>;
+    // Throws SigningPolicyError for messages outside the signing policy
+    sign(message: string): Promise<string>;
+    setNodeStatus(status: NodeStatus): void;
+
+    checkInvite(): Promise<true>;
+    registerWallet(): Promise<MessageResult>;
+    connectNode(): Promise<NodeActionResult>;
+    stopNode(): Promise<NodeActionResult>;
+    dailyCheckIn(): Promise<MessageResult>;
+    checkNodeStatus(): Promise<NodeStatus>;
+    getNodeStatus(): Promise<NodeStatus | null>;
+    checkNodePoints(): Promise<WalletDetails>;
+    submitProof(): Promise<MessageResult>;
+    claimTask(task: string, message: string, timestamp: number): Promise<MessageResult>;
+    claimProofSubmissionPoints(): Promise<MessageResult>;
+    claimLightNodePoints(): Promise<MessageResult>;
+}
+
+export interface ApiErrorDetails {
+    endpoint?: string | null;
+    status?: number | null;
+    body?: unknown;
+}
+
+export class ApiError extends Error {
+    constructor(message: string, details?: ApiErrorDetails);
+    endpoint: string | null;
+    status: number | null;
+    body: unknown;
+}
+
+export class CooldownError extends ApiError {
+    constructor(message: string, details: ApiErrorDetails, until: number);
+    // Epoch milliseconds
+    until: number;
+}
+
+export class AlreadyClaimedError extends ApiError {}
+export class InvalidSignatureError extends ApiError {}
+export class NotRegisteredError extends ApiError {}
+
+export class SchemaChangedError extends ApiError {
+    constructor(message: string, details: ApiErrorDetails, problems: string[]);
+    problems: string[];
+}
+
+export class Signer implements MessageSigner {
+    static createRandom(): Signer;
+    readonly address: string;
+    signMessage(message: string): Promise<string>;
+}
+
+export class RemoteSigner implements MessageSigner {
+    constructor(options: { url: string; address: string; method?: 'personal_sign' | 'eth_sign'; timeout?: number });
+    readonly address: string;
+    signMessage(message: string): Promise<string>;
+}
+
+// Shared per file, so every client appending to one file keeps one hash chain
+export function getAuditLog(file?: string): AuditSink;
+export function getDriftDetector(file?: string): DriftCheck;
+
+export const DEFAULT_CONFIG: Config;
+export function loadConfig(file?: string, env?: Record<string, string | undefined>): Promise<Config>;
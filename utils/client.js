@@ -0,0 +1,354 @@
+import { assertSignable } from './signing-policy.js';
+import { recordPoints } from './points-history.js';
+import { RequestHandler } from './request-handler.js';
+import { newAgent } from './proxies.js';
+import { metrics } from './metrics.js';
+import { decode, ENDPOINTS } from './responses.js';
+import { ApiError, AlreadyClaimedError } from './api-errors.js';
+import { DEFAULT_CONFIG } from './config.js';
+import defaultLogger from './logger.js';
+
+// Programmatic client for the LayerEdge API, used by the bot, the CLI and
+// ref.js. Every endpoint method returns a typed result or throws one of the
+// errors in api-errors.js. All collaborators can be swapped out:
+//
+//   signer     - required; { address, signMessage(message) }, a Signer or
+//                RemoteSigner. The signing policy is enforced here for any signer
+//   transport  - async (request) => { status, data, headers } | null, where
+//                request is an axios-style config; defaults to the retrying
+//                RequestHandler
+//   logger     - { verbose, info, success, warn }, defaults to the bot logger
+//   auditLog   - { record(entry) } for every signed request, e.g. getAuditLog(file)
+//   drift      - { check(endpoint, response) }, e.g. getDriftDetector(file)
+//   pointsFile - where checkNodePoints() appends snapshots
+//   dryRun     - { record(address, request) }, e.g. a DryRun; when given,
+//                signed requests are handed to it instead of being sent and
+//                every endpoint answers with its `dryRun` sample from
+//                responses.js. Nothing is audited, checked, recorded or
+//                exported as a metric.
+//
+// The last three are off unless given, so the client writes no files of its
+// own. `config` is a full config as returned by loadConfig(); refCode and api
+// are read from it unless given directly. See client.d.ts for the types.
+export class LayerEdgeClient {
+    constructor({
+        config = DEFAULT_CONFIG,
+        signer = null,
+        proxy = null,
+        transport = null,
+        logger = defaultLogger,
+        refCode = config.refCode,
+        api = config.api,
+        auditLog = null,
+        drift = null,
+        pointsFile = null,
+        dryRun = null
+    } = {}) {
+        if (!signer) {
+            throw new Error('LayerEdgeClient needs a signer');
+        }
+        this.refCode = refCode;
+        this.proxy = proxy;
+        this.api = api;
+        this.headers = config.request.headers;
+        this.retryOptions = {
+            retries: config.request.retries,
+            backoff: config.request.backoff,
+            maxRetryWait: config.request.maxRetryWait,
+            circuitBreaker: config.request.circuitBreaker
+        };
+        this.requestDefaults = {
+            ...(proxy && { httpsAgent: newAgent(proxy) }),
+            timeout: config.request.timeout,
+            validateStatus: (status) => status < 500
+        };
+        this.transport = transport || (request => RequestHandler.makeRequest(request, this.retryOptions));
+
+        this.signer = signer;
+        this.logger = logger;
+        this.auditLog = auditLog;
+        this.drift = drift;
+        this.pointsFile = pointsFile;
+        this.dryRun = dryRun;
+        this.nodeOptions = config.node;
+        // { running, startTimestamp } once checked, null when the status could not be read
+        this.nodeStatus = undefined;
+
+        this.logger.verbose(`Initialized LayerEdgeClient`,
+            `Wallet: ${this.signer.address}\nProxy: ${proxy || 'None'}`);
+    }
+
+    async makeRequest(method, url, config = {}) {
+        const { signed, ...requestConfig } = config;
+        const request = {
+            method,
+            url,
+            ...this.requestDefaults,
+            ...requestConfig,
+            headers: {
+                ...this.headers,
+                ...(requestConfig.headers || {})
+            }
+        };
+
+        if (this.dryRun) {
+            await this.dryRun.record(this.signer.address, { ...request, signed });
+            return { status: 200, data: null, dryRun: true };
+        }
+
+        const response = await this.transport(request);
+
+        if (signed && this.auditLog) {
+            await this.auditLog.record({
+                address: this.signer.address,
+                message: signed.message,
+                signature: signed.signature,
+                method,
+                endpoint: url,
+                status: response?.status,
+                // The transport gives up without a response when the circuit is open or every attempt failed
+                response: response ? response.data?.message : 'not sent or not answered'
+            });
+        }
+
+        return response;
+    }
+
+    // Checks the message against the signing policy before any signer sees it
+    async sign(message) {
+        assertSignable(message, this.signer.address);
+        return this.signer.signMessage(message);
+    }
+
+    // Caches what the API said about the node and exports it as a metric
+    // (except in a dry run, whose answers are made up)
+    setNodeStatus(status) {
+        this.nodeStatus = status;
+        if (this.dryRun) return;
+        metrics.nodeRunning.set({ wallet: this.signer.address }, status.running ? 1 : 0);
+    }
+
+    // Checks the response against the API baseline, then decodes it
+    async decode(endpoint, response) {
+        if (response?.dryRun) {
+            return decode(endpoint, { status: 200, data: ENDPOINTS[endpoint].dryRun });
+        }
+        await this.drift?.check(endpoint, response);
+        return decode(endpoint, response);
+    }
+
+    async checkInvite() {
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.referralBaseUrl}/referral/verify-referral-code`,
+            { data: { invite_code: this.refCode } }
+        );
+
+        const { valid } = await this.decode('verifyReferralCode', response);
+        if (!valid) {
+            throw new ApiError(`Invite code ${this.refCode} is not valid`, { endpoint: 'verifyReferralCode' });
+        }
+        this.logger.info("Invite Code Valid", this.refCode);
+        return true;
+    }
+
+    async registerWallet() {
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.referralBaseUrl}/referral/register-wallet/${this.refCode}`,
+            { data: { walletAddress: this.signer.address } }
+        );
+
+        const result = await this.decode('registerWallet', response);
+        this.logger.info("Wallet successfully registered", result.message);
+        return result;
+    }
+
+    async connectNode() {
+        const timestamp = Date.now();
+        const message = `Node activation request for ${this.signer.address} at ${timestamp}`;
+        const sign = await this.sign(message);
+
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.referralBaseUrl}/light-node/node-action/${this.signer.address}/start`,
+            {
+                data: { sign, timestamp },
+                signed: { message, signature: sign },
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+
+        try {
+            const result = await this.decode('nodeAction', response);
+            this.logger.info("Connected Node Successfully", result.message);
+            this.setNodeStatus({ running: true, startTimestamp: result.startTimestamp ?? Math.floor(timestamp / 1000) });
+            return result;
+        } catch (error) {
+            if (!(error instanceof AlreadyClaimedError)) throw error;
+            // The node is up, which is all we wanted; its start time is re-read on demand
+            this.logger.info("Node Already Running", error.message);
+            this.nodeStatus = undefined;
+            return { message: error.message, startTimestamp: null };
+        }
+    }
+
+    async stopNode() {
+        const timestamp = Date.now();
+        const message = `Node deactivation request for ${this.signer.address} at ${timestamp}`;
+        const sign = await this.sign(message);
+
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.referralBaseUrl}/light-node/node-action/${this.signer.address}/stop`,
+            { data: { sign, timestamp }, signed: { message, signature: sign } }
+        );
+
+        const result = await this.decode('nodeAction', response);
+        this.logger.info("Stop and Claim Points Result:", result.message);
+        this.setNodeStatus({ running: false, startTimestamp: null });
+        return result;
+    }
+
+    // Throws CooldownError when the check-in was already claimed in the last 24 hours
+    async dailyCheckIn() {
+        const timestamp = Date.now();
+        const message = `I am claiming my daily node point for ${this.signer.address} at ${timestamp}`;
+        const sign = await this.sign(message);
+
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.referralBaseUrl}/light-node/claim-node-points`,
+            {
+                data: { sign, timestamp, walletAddress: this.signer.address },
+                signed: { message, signature: sign },
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+
+        const result = await this.decode('dailyCheckIn', response);
+        this.logger.info("✅ Daily Check-in Successful", result.message);
+        return result;
+    }
+
+    // Returns { running, startTimestamp }; only an explicit `startTimestamp: null` means down
+    async checkNodeStatus() {
+        const response = await this.makeRequest(
+            "get",
+            `${this.api.referralBaseUrl}/light-node/node-status/${this.signer.address}`
+        );
+
+        try {
+            this.setNodeStatus(await this.decode('nodeStatus', response));
+        } catch (error) {
+            this.nodeStatus = null;
+            throw error;
+        }
+
+        if (this.nodeStatus.running) {
+            this.logger.info("Node Status Running", `Started at ${new Date(this.nodeStatus.startTimestamp * 1000).toLocaleString()}`);
+        } else {
+            this.logger.warn("Node Status Not Running");
+        }
+        return this.nodeStatus;
+    }
+
+    // The status from checkNodeStatus() in this session, fetched on first use.
+    // Null when it could not be read.
+    async getNodeStatus() {
+        if (this.nodeStatus === undefined) {
+            try {
+                await this.checkNodeStatus();
+            } catch (error) {
+                this.logger.warn('Could not read node status', error.message);
+            }
+        }
+        return this.nodeStatus;
+    }
+
+    async checkNodePoints() {
+        const response = await this.makeRequest(
+            "get",
+            `${this.api.referralBaseUrl}/referral/wallet-details/${this.signer.address}`
+        );
+
+        const details = await this.decode('walletDetails', response);
+        this.logger.info(`${this.signer.address} Total Points:`, details.nodePoints);
+        if (this.dryRun) return details;
+        metrics.nodePoints.set({ wallet: this.signer.address }, details.nodePoints);
+        if (this.pointsFile) {
+            try {
+                await recordPoints(this.signer.address, details, this.pointsFile);
+            } catch (error) {
+                this.logger.warn('Failed to save points snapshot', error.message);
+            }
+        }
+        return details;
+    }
+
+    async submitProof() {
+        const timestamp = new Date().toISOString();
+        const message = `I am submitting a proof for LayerEdge at ${timestamp}`;
+        const signature = await this.sign(message);
+
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.dashboardBaseUrl}/send-proof`,
+            {
+                data: { proof: "GmEdgesss", signature, message, address: this.signer.address },
+                signed: { message, signature },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': '*/*'
+                }
+            }
+        );
+
+        const result = await this.decode('sendProof', response);
+        this.logger.success("Proof submitted successfully", result.message);
+        return result;
+    }
+
+    // Both task claims throw AlreadyClaimedError when the task was completed before
+    async claimTask(task, message, timestamp) {
+        const sign = await this.sign(message);
+
+        const response = await this.makeRequest(
+            "post",
+            `${this.api.referralBaseUrl}/task/${task}`,
+            {
+                data: { walletAddress: this.signer.address, timestamp, sign },
+                signed: { message, signature: sign },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/plain, */*'
+                }
+            }
+        );
+
+        return this.decode('claimTask', response);
+    }
+
+    async claimProofSubmissionPoints() {
+        const timestamp = Date.now();
+        const message = `I am claiming my proof submission node points for ${this.signer.address} at ${timestamp}`;
+        const result = await this.claimTask('proof-submission', message, timestamp);
+        this.logger.success("Proof submission points claimed successfully", result.message);
+        return result;
+    }
+
+    async claimLightNodePoints() {
+        const timestamp = Date.now();
+        const message = `I am claiming my light node run task node points for ${this.signer.address} at ${timestamp}`;
+        const result = await this.claimTask('node-points', message, timestamp);
+        this.logger.success("Light node points claimed successfully", result.message);
+        return result;
+    }
+}
+
+export { ApiError, CooldownError, AlreadyClaimedError, InvalidSignatureError, NotRegisteredError, SchemaChangedError } from './api-errors.js';
+export { Signer } from './signer.js';
+export { getAuditLog } from './audit-log.js';
+export { getDriftDetector } from './api-drift.js';
+export { RemoteSigner } from './remote-signer.js';
+export { loadConfig, DEFAULT_CONFIG } from './config.js';
@@ -0,0 +1,250 @@
+import fs from 'fs/promises';
+import { validateTaskOverrides } from './pipeline.js';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { validateWebhooks, webhookFromUrl } from './notifier.js';
+
+const CONFIG_FILE = 'config.json';
+
+export const DEFAULT_CONFIG = {
+    refCode: 'knYyWnsE',
+    api: {
+        referralBaseUrl: 'https://referralapi.layeredge.io/api',
+        dashboardBaseUrl: 'https://dashboard.layeredge.io/api'
+    },
+    request: {
+        retries: 5,
+        timeout: 60000,
+        backoff: {
+            base: 1000,
+            max: 30000
+        },
+        maxRetryWait: 2 * 60 * 1000,
+        circuitBreaker: {
+            threshold: 5,
+            cooldown: 5 * 60 * 1000
+        },
+        headers: {
+            'Accept': 'application/json, text/plain, */*',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Origin': 'https://layeredge.io',
+            'Referer': 'https://layeredge.io/',
+            'Sec-Fetch-Dest': 'empty',
+            'Sec-Fetch-Mode': 'cors',
+            'Sec-Fetch-Site': 'same-site',
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+            'sec-ch-ua': '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua-platform': '"Windows"'
+        }
+    },
+    cycle: {
+        interval: 60 * 60 * 1000
+    },
+    tasks: {},
+    log: {
+        level: 'verbose',
+        format: 'pretty',
+        file: '',
+        maxSize: 10 * 1024 * 1024,
+        maxFiles: 5
+    },
+    node: {
+        pollInterval: 5 * 60 * 1000,
+        claimAfter: 12 * 60 * 60 * 1000
+    },
+    shutdown: {
+        stopNodes: false
+    },
+    metrics: {
+        enabled: false,
+        host: '127.0.0.1',
+        port: 9464
+    },
+    notify: {
+        webhooks: [],
+        dedupWindow: 60 * 60 * 1000,
+        rateLimit: {
+            max: 20,
+            window: 60 * 60 * 1000
+        }
+    },
+    files: {
+        wallets: 'wallets.json',
+        proxies: 'proxy.txt',
+        state: 'state.json',
+        audit: 'audit-log.jsonl',
+        points: 'points-history.jsonl',
+        lock: 'layeredge.lock',
+        apiBaseline: 'api-baseline.json',
+        summary: 'cycle-summary.json'
+    }
+};
+
+function parseBoolean(value) {
+    return ['1', 'true', 'yes'].includes(value.toLowerCase());
+}
+
+// Environment variables that override single settings, applied last
+const ENV_OVERRIDES = {
+    LAYEREDGE_REF_CODE: ['refCode', String],
+    LAYEREDGE_REFERRAL_API: ['api.referralBaseUrl', String],
+    LAYEREDGE_DASHBOARD_API: ['api.dashboardBaseUrl', String],
+    LAYEREDGE_RETRIES: ['request.retries', Number],
+    LAYEREDGE_TIMEOUT: ['request.timeout', Number],
+    LAYEREDGE_CYCLE_INTERVAL: ['cycle.interval', Number],
+    LAYEREDGE_NODE_POLL_INTERVAL: ['node.pollInterval', Number],
+    LAYEREDGE_NODE_CLAIM_AFTER: ['node.claimAfter', Number],
+    LAYEREDGE_WALLETS_FILE: ['files.wallets', String],
+    LAYEREDGE_PROXIES_FILE: ['files.proxies', String],
+    LAYEREDGE_STATE_FILE: ['files.state', String],
+    LAYEREDGE_AUDIT_FILE: ['files.audit', String],
+    LAYEREDGE_POINTS_FILE: ['files.points', String],
+    LAYEREDGE_LOCK_FILE: ['files.lock', String],
+    LAYEREDGE_API_BASELINE_FILE: ['files.apiBaseline', String],
+    LAYEREDGE_SUMMARY_FILE: ['files.summary', String],
+    LAYEREDGE_STOP_NODES_ON_SHUTDOWN: ['shutdown.stopNodes', parseBoolean],
+    LAYEREDGE_METRICS_ENABLED: ['metrics.enabled', parseBoolean],
+    LAYEREDGE_METRICS_HOST: ['metrics.host', String],
+    LAYEREDGE_METRICS_PORT: ['metrics.port', Number],
+    LAYEREDGE_WEBHOOK_URL: ['notify.webhooks', url => [webhookFromUrl(url)]],
+    LAYEREDGE_LOG_LEVEL: ['log.level', String],
+    LAYEREDGE_LOG_FORMAT: ['log.format', String],
+    LAYEREDGE_LOG_FILE: ['log.file', String]
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? merge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key] ??= {}, target);
+    parent[last] = value;
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Compares the merged config against the shape of DEFAULT_CONFIG and a few
+// value rules. Returns a list of human readable problems.
+function validateConfig(config) {
+    const problems = [];
+    let missingSection = false;
+
+    const checkShape = (value, reference, path) => {
+        for (const key of Object.keys(value)) {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (!(key in reference)) {
+                problems.push(`${keyPath}: unknown setting`);
+            } else if (typeof value[key] !== typeof reference[key]
+                || Array.isArray(value[key]) !== Array.isArray(reference[key])
+                || isPlainObject(value[key]) !== isPlainObject(reference[key])) {
+                problems.push(`${keyPath}: expected ${isPlainObject(reference[key]) ? 'an object' : `a ${typeof reference[key]}`}`);
+                if (isPlainObject(reference[key])) missingSection = true;
+            } else if (isPlainObject(reference[key]) && Object.keys(reference[key]).length > 0 && keyPath !== 'request.headers') {
+                checkShape(value[key], reference[key], keyPath);
+            }
+        }
+    };
+    checkShape(config, { ...DEFAULT_CONFIG, profile: '' }, '');
+    // The value rules below read nested settings, which a section of the wrong type does not have
+    if (missingSection) return problems;
+
+    for (const key of ['referralBaseUrl', 'dashboardBaseUrl']) {
+        if (!isHttpUrl(config.api[key])) problems.push(`api.${key}: not an http(s) URL`);
+    }
+    const positiveIntegers = {
+        'request.retries': config.request.retries,
+        'request.timeout': config.request.timeout,
+        'request.backoff.base': config.request.backoff.base,
+        'request.backoff.max': config.request.backoff.max,
+        'request.maxRetryWait': config.request.maxRetryWait,
+        'request.circuitBreaker.threshold': config.request.circuitBreaker.threshold,
+        'request.circuitBreaker.cooldown': config.request.circuitBreaker.cooldown,
+        'node.pollInterval': config.node.pollInterval,
+        'node.claimAfter': config.node.claimAfter,
+        'metrics.port': config.metrics.port,
+        'notify.dedupWindow': config.notify.dedupWindow,
+        'notify.rateLimit.max': config.notify.rateLimit.max,
+        'notify.rateLimit.window': config.notify.rateLimit.window,
+        'log.maxSize': config.log.maxSize,
+        'log.maxFiles': config.log.maxFiles
+    };
+    for (const [key, value] of Object.entries(positiveIntegers)) {
+        if (!(Number.isInteger(value) && value > 0)) {
+            problems.push(`${key}: must be a positive integer`);
+        }
+    }
+    if (!(Number.isInteger(config.cycle.interval) && config.cycle.interval > 0)) {
+        problems.push('cycle.interval: must be a positive number of milliseconds');
+    }
+    if (!(config.log.level in LOG_LEVELS)) {
+        problems.push(`log.level: expected one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(config.log.format)) {
+        problems.push(`log.format: expected one of ${LOG_FORMATS.join(', ')}`);
+    }
+    if (!config.refCode) {
+        problems.push('refCode: must not be empty');
+    }
+    for (const [field, message] of [...validateTaskOverrides(config.tasks), ...validateWebhooks(config.notify.webhooks)]) {
+        problems.push(`${field}: ${message}`);
+    }
+
+    return problems;
+}
+
+async function readConfigFile(file, required) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT' && !required) return {};
+        throw new Error(`Failed to read ${file}: ${err.message}`);
+    }
+}
+
+// Loads config.json (or LAYEREDGE_CONFIG), applies the selected profile and
+// environment overrides, then validates the result. Throws with every
+// problem listed when the config is invalid.
+export async function loadConfig(file = process.env.LAYEREDGE_CONFIG, env = process.env) {
+    const fromFile = await readConfigFile(file || CONFIG_FILE, Boolean(file));
+    const { profiles = {}, ...settings } = fromFile;
+
+    const profile = env.LAYEREDGE_PROFILE || settings.profile;
+    if (profile && !profiles[profile]) {
+        throw new Error(`Unknown config profile "${profile}", available: ${Object.keys(profiles).join(', ') || 'none'}`);
+    }
+
+    const config = merge(merge(structuredClone(DEFAULT_CONFIG), settings), profile ? profiles[profile] : {});
+    for (const [name, [path, parse]] of Object.entries(ENV_OVERRIDES)) {
+        if (env[name] !== undefined) setPath(config, path, parse(env[name]));
+    }
+
+    for (const key of ['referralBaseUrl', 'dashboardBaseUrl']) {
+        if (typeof config.api[key] === 'string') config.api[key] = config.api[key].replace(/\/+$/, '');
+    }
+
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return { ...config, profile: profile || null };
+}
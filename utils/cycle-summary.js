@@ -0,0 +1,76 @@
+import { writeJsonAtomic } from './json-file.js';
+import { TASKS } from './pipeline.js';
+
+const CELLS = {
+    success: '✔',
+    failed: '✘',
+    cooldown: 'cooldown',
+    skipped: 'skipped',
+    blocked: 'blocked',
+    deferred: 'deferred',
+    disabled: 'off',
+    interrupted: 'stopped'
+};
+
+export function shortAddress(address) {
+    return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Collects every step of one cycle per wallet: the runPipeline `steps` of
+// each wallet, or the error that crashed it. toJSON() is what other tools
+// read from `files.summary`:
+//
+// { startedAt, finishedAt, wallets: [{ wallet, ok, error, steps: { [task]:
+//   { status, durationMs, error, note } } }] }
+export class CycleSummary {
+    constructor(now = Date.now()) {
+        this.startedAt = new Date(now).toISOString();
+        this.finishedAt = null;
+        this.wallets = [];
+    }
+
+    addWallet(wallet, steps) {
+        const ok = !Object.values(steps).some(step => step.status === 'failed');
+        this.wallets.push({ wallet, ok, error: null, steps });
+    }
+
+    addCrash(wallet, error) {
+        this.wallets.push({ wallet, ok: false, error: `${error.name}: ${error.message}`, steps: {} });
+    }
+
+    finish(now = Date.now()) {
+        this.finishedAt = new Date(now).toISOString();
+        return this;
+    }
+
+    get isEmpty() {
+        return this.wallets.length === 0;
+    }
+
+    toJSON() {
+        return { startedAt: this.startedAt, finishedAt: this.finishedAt, wallets: this.wallets };
+    }
+
+    // Wallets × tasks, followed by one line per failure
+    renderTable() {
+        const header = ['wallet', ...TASKS.map(task => task.column)];
+        const rows = this.wallets.map(({ wallet, error, steps }) => [
+            shortAddress(wallet),
+            ...TASKS.map(task => error ? '✘' : CELLS[steps[task.name]?.status] ?? '')
+        ]);
+        const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+        const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+        const failures = this.wallets.flatMap(({ wallet, error, steps }) => error
+            ? [`${shortAddress(wallet)} crashed: ${error}`]
+            : Object.entries(steps)
+                .filter(([, step]) => step.status === 'failed')
+                .map(([task, step]) => `${shortAddress(wallet)} ${task}: ${step.error}`));
+
+        return [format(header), ...rows.map(format), ...failures];
+    }
+
+    save(file) {
+        return writeJsonAtomic(file, this);
+    }
+}
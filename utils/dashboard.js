@@ -0,0 +1,182 @@
+import chalk from "chalk";
+import logger from './logger.js';
+import { metrics } from './metrics.js';
+import { shortAddress } from './cycle-summary.js';
+import { readPoints } from './points-history.js';
+
+const REFRESH = 1000;
+const MAX_ERRORS = 8;
+const CLAIM_TASKS = ['stopNode', 'claimLightNodePoints', 'claimProofSubmissionPoints'];
+
+const ENTER = '\x1b[?1049h\x1b[?25l';
+const LEAVE = '\x1b[?25h\x1b[?1049l';
+const HOME = '\x1b[H';
+const CLEAR_LINE = '\x1b[K';
+const CLEAR_BELOW = '\x1b[J';
+
+export function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds % 3600 / 60);
+    const s = seconds % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+    if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+    return `${s}s`;
+}
+
+const NODE_STYLES = {
+    up: ['● up', chalk.green],
+    down: ['● down', chalk.red],
+    unknown: ['? unknown', chalk.gray]
+};
+
+// Full-screen view of a running bot: one row per wallet with node status,
+// current task, last check-in, next claim and points, a pane with the most
+// recent errors and a countdown to the next cycle. Everything comes from the
+// state store, the metrics and the entries logger.progress()/logger.error()
+// produce, so the bot itself does not know the dashboard exists. While it is
+// shown the log is not printed to the terminal (the file sink keeps working).
+export class Dashboard {
+    constructor({ config, wallets, state }, stream = process.stdout) {
+        this.wallets = wallets;
+        this.state = state;
+        this.pointsFile = config.files.points;
+        this.stream = stream;
+        this.current = new Map();
+        this.points = new Map();
+        this.errors = [];
+        this.nextCycle = null;
+        this.startedAt = Date.now();
+        this.timer = null;
+        this.unsubscribe = null;
+        this.restore = () => this.stream.write(LEAVE);
+        this.onResize = () => this.render();
+    }
+
+    // Returns false and leaves the log alone when the output is not a terminal
+    async start() {
+        if (!this.stream.isTTY) {
+            logger.warn('Dashboard needs an interactive terminal', 'Showing the log instead');
+            return false;
+        }
+
+        try {
+            for (const { wallet, nodePoints } of await readPoints(this.pointsFile)) {
+                this.points.set(wallet.toLowerCase(), nodePoints);
+            }
+        } catch (error) {
+            logger.warn('Could not read points history', error.message);
+        }
+
+        this.previousStream = logger.settings.stream;
+        logger.configure({ ...logger.settings, stream: 'none' });
+        this.unsubscribe = logger.subscribe(entry => this._onEntry(entry));
+
+        this.stream.write(ENTER);
+        process.once('exit', this.restore);
+        this.stream.on('resize', this.onResize);
+        this.timer = setInterval(() => this.render(), REFRESH);
+        this.timer.unref();
+        this.render();
+        return true;
+    }
+
+    stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.unsubscribe();
+        process.removeListener('exit', this.restore);
+        this.stream.removeListener('resize', this.onResize);
+        this.restore();
+        logger.configure({ ...logger.settings, stream: this.previousStream });
+    }
+
+    // The time the next cycle starts, or null while a cycle is running
+    setNextCycle(at) {
+        this.nextCycle = at;
+        this.render();
+    }
+
+    _onEntry(entry) {
+        if (entry.event === 'progress' && entry.wallet) {
+            const wallet = entry.wallet.toLowerCase();
+            if (entry.status === 'processing') {
+                this.current.set(wallet, entry.msg);
+            } else if (entry.status !== 'start') {
+                this.current.delete(wallet);
+            }
+        } else if (entry.level === 'error') {
+            this.errors.unshift(entry);
+            this.errors.length = Math.min(this.errors.length, MAX_ERRORS);
+        }
+    }
+
+    _row(address) {
+        const key = address.toLowerCase();
+        const node = this.state.node(address).status ?? 'unknown';
+        const checkIn = this.state.task(address, 'dailyCheckIn').lastSuccess;
+        const nextClaim = Math.min(...CLAIM_TASKS.map(task => this.state.nextEligible(address, task)));
+        const points = metrics.nodePoints.get({ wallet: address }) ?? this.points.get(key);
+
+        return {
+            node,
+            cells: [
+                shortAddress(address),
+                NODE_STYLES[node][0],
+                this.current.get(key) || 'idle',
+                checkIn ? `${formatDuration(Date.now() - new Date(checkIn).getTime())} ago` : '-',
+                nextClaim > Date.now() ? `in ${formatDuration(nextClaim - Date.now())}` : 'due',
+                points === undefined || points === null ? '-' : String(points)
+            ]
+        };
+    }
+
+    // Plain lines and their colored version; a line too wide for the
+    // terminal is cut and loses its colors
+    _lines(width) {
+        const lines = [];
+        const add = (plain, colored = plain) => lines.push(plain.length > width ? plain.slice(0, width) : colored);
+
+        const cycle = this.nextCycle === null
+            ? 'cycle running'
+            : `next cycle in ${formatDuration(this.nextCycle - Date.now())}`;
+        const title = `LayerEdge Auto Bot · ${this.wallets.length} wallet(s) · ${cycle} · up ${formatDuration(Date.now() - this.startedAt)}`;
+        add(title, chalk.cyan.bold(title));
+        add('');
+
+        const header = ['wallet', 'node', 'task', 'last check-in', 'next claim', 'points'];
+        const rows = this.wallets.map(({ address }) => this._row(address));
+        const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row.cells[i].length)));
+        const pad = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+        const headerLine = pad(header);
+        add(headerLine, chalk.bold(headerLine));
+        for (const { node, cells } of rows) {
+            const plain = pad(cells);
+            const colored = cells.map((cell, i) => i === 1 ? NODE_STYLES[node][1](cell.padEnd(widths[i])) : cell.padEnd(widths[i])).join('  ').trimEnd();
+            add(plain, colored);
+        }
+
+        add('');
+        add('Recent errors', chalk.bold('Recent errors'));
+        if (this.errors.length === 0) {
+            add('  none', chalk.gray('  none'));
+        }
+        for (const entry of this.errors) {
+            const time = new Date(entry.time).toLocaleTimeString();
+            const wallet = entry.wallet ? ` ${shortAddress(entry.wallet)}` : '';
+            const value = entry.value ? `: ${typeof entry.value === 'object' ? JSON.stringify(entry.value) : entry.value}` : '';
+            const line = `  ${time}${wallet} ${entry.msg}${value}`.replace(/\s*\n\s*/g, ' ');
+            add(line, chalk.red(line));
+        }
+        return lines;
+    }
+
+    render() {
+        if (!this.timer) return;
+        const width = this.stream.columns || 80;
+        const lines = this._lines(width).slice(0, this.stream.rows || Infinity);
+        this.stream.write(`${HOME}${lines.map(line => `${line}${CLEAR_LINE}`).join('\n')}\n${CLEAR_BELOW}`);
+    }
+}
@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import logger from './logger.js';
+
+export const DRY_RUN_MESSAGE = 'Dry run, request not sent';
+
+// Collects the requests a dry run would have sent. Each one is logged (the
+// logger redacts signatures) and, with `file`, appended there as a JSON line
+// with the full signature:
+//
+// { time, wallet, method, url, headers, body, message, signature }
+//
+// where `message` and `signature` are null for unsigned requests.
+export class DryRun {
+    constructor(file = null) {
+        this.file = file;
+        this.requests = [];
+    }
+
+    async record(wallet, { method, url, headers = {}, data = null, signed = null }) {
+        const request = {
+            time: new Date().toISOString(),
+            wallet,
+            method: method.toUpperCase(),
+            url,
+            headers,
+            body: data,
+            message: signed?.message ?? null,
+            signature: signed?.signature ?? null
+        };
+        this.requests.push(request);
+
+        const details = [
+            request.body !== null && `Body: ${JSON.stringify(request.body)}`,
+            request.message !== null && `Signed message: "${request.message}"`
+        ].filter(Boolean).join('\n');
+        logger.log('info', `Dry run ${request.method} ${url}`, details, null, { event: 'dryRunRequest' });
+
+        if (this.file) {
+            await fs.appendFile(this.file, `${JSON.stringify(request)}\n`, { encoding: 'utf-8', mode: 0o600 });
+        }
+    }
+}
@@ -0,0 +1,9 @@
+import fs from 'fs/promises';
+
+// Writes `value` as JSON through a temporary file and a rename, so a crash
+// mid-write leaves the previous file intact. `options` go to fs.writeFile.
+export async function writeJsonAtomic(file, value, options = {}) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2), options);
+    await fs.rename(tmp, file);
+}
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import { readFileSync, unlinkSync } from 'fs';
+import os from 'os';
+
+const LOCK_FILE = 'layeredge.lock';
+
+export class LockError extends Error {
+    constructor(message, holder) {
+        super(message);
+        this.name = 'LockError';
+        this.holder = holder;
+    }
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+async function readHolder(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+// Takes an exclusive lock so overlapping runs (a slow cycle meeting the next
+// timer tick) cannot act on the same wallets at once. A lock left behind by a
+// process that no longer exists on this host is taken over. Returns a release
+// function; the lock is also dropped when the process exits.
+export async function acquireLock(file = LOCK_FILE) {
+    const holder = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await fs.writeFile(file, JSON.stringify(holder), { flag: 'wx', mode: 0o600 });
+            break;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+
+            const current = await readHolder(file);
+            const stale = current && current.host === holder.host && !isAlive(current.pid);
+            if (!stale || attempt > 0) {
+                throw new LockError(`${file} is held by pid ${current?.pid ?? 'unknown'} since ${current?.startedAt ?? 'unknown'}`, current);
+            }
+            await fs.rm(file, { force: true });
+        }
+    }
+
+    let held = true;
+    const release = () => {
+        if (!held) return;
+        held = false;
+        process.removeListener('exit', release);
+        try {
+            // Never remove a lock another process has taken over in the meantime
+            if (JSON.parse(readFileSync(file, 'utf-8')).pid === process.pid) unlinkSync(file);
+        } catch {
+            // already gone
+        }
+    };
+    process.on('exit', release);
+
+    return release;
+}
@@ -0,0 +1,287 @@
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from "axios";
+import chalk from "chalk";
+import { wordlists } from "ethers";
+
+export const LOG_LEVELS = { debug: 10, verbose: 15, info: 20, success: 25, warn: 30, error: 40 };
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEYS = /^(sign|signature|private_?key|mnemonic|phrase|seed|passphrase|password|keystore|secret|authorization|cookie)$/i;
+const SIGNATURE_PATTERN = /\b0x[0-9a-fA-F]{130}\b/g;
+const PRIVATE_KEY_PATTERN = /\b(0x)?[0-9a-fA-F]{64}\b/g;
+const URL_CREDENTIALS_PATTERN = /(\w+:\/\/)[^\s:@/]+:[^\s@/]+@/g;
+const MNEMONIC_MIN_WORDS = 12;
+
+// Wallet address, task name etc. for everything logged inside withContext()
+const context = new AsyncLocalStorage();
+
+// Runs of 12 or more consecutive BIP-39 words are treated as a mnemonic
+function redactMnemonics(text) {
+    const spans = [];
+    let run = [];
+    const flush = () => {
+        if (run.length >= MNEMONIC_MIN_WORDS) spans.push([run[0].index, run.at(-1).index + run.at(-1)[0].length]);
+        run = [];
+    };
+
+    for (const match of text.matchAll(/\S+/g)) {
+        const isWord = wordlists.en.getWordIndex(match[0]) !== -1;
+        if (!isWord) {
+            flush();
+        } else {
+            run.push(match);
+        }
+    }
+    flush();
+
+    return spans.reduceRight((result, [start, end]) => result.slice(0, start) + REDACTED + result.slice(end), text);
+}
+
+export function redactString(text) {
+    return redactMnemonics(
+        text.replace(SIGNATURE_PATTERN, REDACTED)
+            .replace(PRIVATE_KEY_PATTERN, REDACTED)
+            .replace(URL_CREDENTIALS_PATTERN, `$1${REDACTED}@`)
+    );
+}
+
+// Deep-copies `value` with secret-looking keys and key material removed
+export function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value !== 'object' || value === null) return value;
+    if (value instanceof Error) return redactString(value.message);
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(item => redact(item, seen));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.test(key) ? REDACTED : redact(item, seen)
+    ]));
+}
+
+const logger = {
+    settings: {
+        level: 'verbose',
+        format: 'pretty',
+        stream: 'stdout',
+        file: null,
+        maxSize: 10 * 1024 * 1024,
+        maxFiles: 5
+    },
+
+    _fileSize: null,
+    _listeners: new Set(),
+
+    configure(options = {}) {
+        this.settings = { ...this.settings, ...options, file: options.file || null };
+        this._fileSize = null;
+    },
+
+    withContext(fields, fn) {
+        return context.run({ ...context.getStore(), ...fields }, fn);
+    },
+
+    // Receives every entry that passes the level filter, as it would be
+    // written in JSON format; used by the dashboard. Returns an unsubscribe function.
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    },
+
+    _emit(level, message, value, error, fields) {
+        if (this._listeners.size === 0) return;
+        const entry = this._entry(level, message, value, error, fields);
+        for (const listener of this._listeners) listener(entry);
+    },
+
+    // stderr keeps stdout free for command output such as `cli.js status --json`;
+    // `none` leaves the terminal to the dashboard
+    _print(line) {
+        if (this.settings.stream === 'none') return;
+        if (this.settings.stream === 'stderr') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    },
+
+    _enabled(level) {
+        return (LOG_LEVELS[level] ?? LOG_LEVELS.info) >= LOG_LEVELS[this.settings.level];
+    },
+
+    _formatTimestamp() {
+        return chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+    },
+
+    _getLevelStyle(level) {
+        const styles = {
+            info: chalk.blueBright.bold,
+            warn: chalk.yellowBright.bold,
+            error: chalk.redBright.bold,
+            success: chalk.greenBright.bold,
+            debug: chalk.magentaBright.bold,
+            verbose: chalk.cyan.bold
+        };
+        return styles[level] || chalk.white;
+    },
+
+    // Enough to locate a failed request; headers and full bodies stay out of the logs
+    _errorDetails(error) {
+        if (!error) return null;
+        if (!axios.isAxiosError(error)) return { message: error.message };
+
+        const data = error.response?.data;
+        return {
+            message: error.message,
+            status: error.response?.status ?? null,
+            method: error.config?.method?.toUpperCase() ?? null,
+            url: error.config?.url ?? null,
+            response: typeof data === 'object' ? data?.message ?? null : String(data ?? '').slice(0, 200) || null
+        };
+    },
+
+    _formatError(error) {
+        const details = redact(this._errorDetails(error));
+        if (!details) return '';
+        if (!details.url) return details.message;
+        return `${details.message} (${details.method} ${details.url}, status ${details.status ?? 'N/A'}${details.response ? `, response: ${details.response}` : ''})`;
+    },
+
+    _rotate() {
+        const { file, maxFiles } = this.settings;
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+        }
+        fs.renameSync(file, `${file}.1`);
+        this._fileSize = 0;
+    },
+
+    _writeFile(line) {
+        const { file, maxSize } = this.settings;
+        try {
+            if (this._fileSize === null) {
+                this._fileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            }
+            const bytes = Buffer.byteLength(line) + 1;
+            if (this._fileSize > 0 && this._fileSize + bytes > maxSize) {
+                this._rotate();
+            }
+            fs.appendFileSync(file, `${line}\n`);
+            this._fileSize += bytes;
+        } catch (error) {
+            this.settings.file = null;
+            console.error(`Log file disabled: ${error.message}`);
+        }
+    },
+
+    _entry(level, message, value, error, fields) {
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: redactString(String(message)),
+            ...redact({ ...context.getStore(), ...fields })
+        };
+        if (value !== '' && value !== undefined && value !== null) entry.value = redact(value);
+        if (error) entry.error = redact(this._errorDetails(error));
+        return entry;
+    },
+
+    log(level, message, value = '', error = null, fields = {}) {
+        if (!this._enabled(level)) return;
+        this._emit(level, message, value, error, fields);
+
+        const json = (this.settings.format === 'json' || this.settings.file)
+            ? JSON.stringify(this._entry(level, message, value, error, fields))
+            : null;
+        if (this.settings.file) this._writeFile(json);
+        if (this.settings.format === 'json') {
+            this._print(json);
+            return;
+        }
+
+        const timestamp = this._formatTimestamp();
+        const levelStyle = this._getLevelStyle(level);
+        const levelTag = levelStyle(`[${level.toUpperCase()}]`);
+        const header = chalk.cyan('◆ LayerEdge Auto Bot');
+
+        let formattedMessage = `${header} ${timestamp} ${levelTag} ${redactString(String(message))}`;
+
+        if (value) {
+            const safeValue = redact(value);
+            const formattedValue = typeof safeValue === 'object' ? JSON.stringify(safeValue) : safeValue;
+            const valueStyle = level === 'error' ? chalk.red :
+                             level === 'warn' ? chalk.yellow :
+                             chalk.green;
+            formattedMessage += ` ${valueStyle(formattedValue)}`;
+        }
+
+        if (fields.durationMs !== undefined) {
+            formattedMessage += chalk.gray(` (${fields.durationMs}ms)`);
+        }
+
+        if (error) {
+            formattedMessage += `\n${chalk.red(this._formatError(error))}`;
+        }
+
+        this._print(formattedMessage);
+    },
+
+    info: (message, value = '') => logger.log('info', message, value),
+    warn: (message, value = '') => logger.log('warn', message, value),
+    error: (message, value = '', error = null) => logger.log('error', message, value, error),
+    success: (message, value = '') => logger.log('success', message, value),
+    debug: (message, value = '') => logger.log('debug', message, value),
+    verbose: (message, value = '') => logger.log('verbose', message, value),
+
+    // Several lines under one heading, such as the cycle summary table. JSON
+    // output gets `fields` instead of the lines.
+    table(message, lines, fields = {}) {
+        if (!this._enabled('info')) return;
+
+        const json = (this.settings.format === 'json' || this.settings.file)
+            ? JSON.stringify(this._entry('info', message, '', null, fields))
+            : null;
+        if (this.settings.file) this._writeFile(json);
+        if (this.settings.format === 'json') {
+            this._print(json);
+            return;
+        }
+
+        this._print([
+            `${chalk.cyan('◆ LayerEdge Auto Bot')} ${this._formatTimestamp()} ${chalk.blueBright('[SUMMARY]')} ${message}`,
+            ...lines.map(line => `    ${line}`)
+        ].join('\n'));
+    },
+
+    progress(wallet, step, status) {
+        if (!this._enabled('info')) return;
+        this._emit('info', step, '', null, { event: 'progress', wallet, status });
+
+        const json = (this.settings.format === 'json' || this.settings.file)
+            ? JSON.stringify(this._entry('info', step, '', null, { event: 'progress', wallet, status }))
+            : null;
+        if (this.settings.file) this._writeFile(json);
+        if (this.settings.format === 'json') {
+            this._print(json);
+            return;
+        }
+
+        const progressStyle = status === 'success'
+            ? chalk.green('✔')
+            : status === 'failed'
+            ? chalk.red('✘')
+            : chalk.yellow('➤');
+
+        this._print([
+            chalk.cyan('◆ LayerEdge Auto Bot'),
+            chalk.gray(`[${new Date().toLocaleTimeString()}]`),
+            chalk.blueBright(`[PROGRESS]`),
+            `${progressStyle} ${wallet} - ${step}`
+        ].join(' '));
+    }
+};
+
+export default logger;
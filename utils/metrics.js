@@ -0,0 +1,151 @@
+import http from 'http';
+import logger from './logger.js';
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family; every label combination is a series keyed by its
+// rendered label set
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    _series(labels, create) {
+        const key = formatLabels(labels);
+        if (!this.series.has(key)) this.series.set(key, create());
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [labels, value] of this.series) {
+            lines.push(`${this.name}${labels} ${value.value}`);
+        }
+        return lines;
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, amount = 1) {
+        this._series(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, 'gauge');
+    }
+
+    set(labels, value) {
+        this._series(labels, () => ({ value: 0 })).value = value;
+    }
+
+    get(labels = {}) {
+        return this.series.get(formatLabels(labels))?.value ?? null;
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, buckets = DURATION_BUCKETS) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this._series(labels, () => ({ labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// Every metric the bot exports. Recorded by the pipeline, the cycle loop,
+// RequestHandler, the node supervisor and the client.
+export const metrics = {
+    taskRuns: new Counter('layeredge_task_runs_total', 'Task runs by wallet, task and outcome (success, failed, cooldown)'),
+    walletRuns: new Counter('layeredge_wallet_runs_total', 'Wallet passes per cycle by outcome (ok, failed, crashed)'),
+    requestDuration: new Histogram('layeredge_request_duration_seconds', 'LayerEdge API request latency per attempt'),
+    requestRetries: new Counter('layeredge_request_retries_total', 'Retried LayerEdge API requests by endpoint and reason'),
+    lastSuccessfulCycle: new Gauge('layeredge_last_successful_cycle_timestamp_seconds', 'End of the last cycle in which no wallet crashed'),
+    nodeRunning: new Gauge('layeredge_node_running', 'Whether the light node was running at the last check (1) or not (0)'),
+    nodePoints: new Gauge('layeredge_node_points', 'Node points at the last check')
+};
+
+export function renderMetrics() {
+    return `${Object.values(metrics).flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+export function resetMetrics() {
+    Object.values(metrics).forEach(metric => metric.reset());
+}
+
+// Serves /metrics in the Prometheus text format and /healthz, which turns
+// 503 once no cycle has succeeded for `maxCycleAge` ms (counted from startup
+// until the first cycle). Resolves with the listening server.
+export function startMetricsServer({ host, port, maxCycleAge }) {
+    const startedAt = Date.now();
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') {
+            res.writeHead(405).end();
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }).end(renderMetrics());
+        } else if (pathname === '/healthz') {
+            const lastCycle = metrics.lastSuccessfulCycle.get();
+            const age = Date.now() - (lastCycle === null ? startedAt : lastCycle * 1000);
+            const healthy = age <= maxCycleAge;
+            res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+                status: healthy ? 'ok' : 'stale',
+                lastSuccessfulCycle: lastCycle === null ? null : new Date(lastCycle * 1000).toISOString(),
+                uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+            }));
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const { address, port: bound } = server.address();
+            logger.info('Metrics server listening', `http://${address}:${bound}/metrics`);
+            resolve(server);
+        });
+    });
+}
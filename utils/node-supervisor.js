@@ -0,0 +1,99 @@
+import logger from './logger.js';
+import { HOUR } from './pipeline.js';
+
+// Watches every wallet's light node between cycles: polls node-status every
+// `pollInterval` ms, restarts only nodes that report themselves down, and
+// keeps per-wallet uptime in the state store. Status seen during a cycle is
+// fed in with observe(), so a wallet is not polled twice in a row. Stopped
+// nodes are reported through `notifier` when one is given.
+export class NodeSupervisor {
+    constructor({ wallets, state, pollInterval, connect, notifier = null }) {
+        this.wallets = wallets;
+        this.state = state;
+        this.notifier = notifier;
+        this.pollInterval = pollInterval;
+        this.connect = connect;
+        // Longer gaps mean the bot was not running; that time is not counted either way
+        this.maxGap = Math.max(2 * pollInterval, HOUR);
+    }
+
+    observe(address, status, now = Date.now()) {
+        if (!status) return;
+
+        const entry = this.state.node(address);
+        const current = status.running ? 'up' : 'down';
+        const lastCheck = entry.lastCheck ? new Date(entry.lastCheck).getTime() : null;
+        if (lastCheck !== null && entry.status && now - lastCheck <= this.maxGap) {
+            entry[entry.status === 'up' ? 'upMs' : 'downMs'] += now - lastCheck;
+        }
+        if (entry.status !== current) {
+            entry.status = current;
+            entry.since = new Date(now).toISOString();
+        }
+        entry.lastCheck = new Date(now).toISOString();
+    }
+
+    isStale(address, now = Date.now()) {
+        const { lastCheck } = this.state.node(address);
+        return !lastCheck || now - new Date(lastCheck).getTime() >= this.pollInterval;
+    }
+
+    async _check(wallet) {
+        const { address } = wallet;
+        const socket = this.connect(wallet);
+        const status = await socket.getNodeStatus();
+        if (!status) {
+            logger.warn('Node status unknown', 'Not restarting until the API answers');
+            return;
+        }
+
+        this.observe(address, status);
+        if (status.running) {
+            logger.verbose('Node is up', formatUptime(this.uptime(address)));
+            return;
+        }
+
+        if (wallet.tasks?.connectNode?.enabled === false) {
+            logger.verbose('Node is down', 'connectNode is disabled for this wallet');
+            await this.notifier?.nodeDown(address, 'Not restarting, connectNode is disabled for this wallet');
+            return;
+        }
+
+        logger.warn('Node is down, restarting', address);
+        await this.notifier?.nodeDown(address, 'Found stopped between cycles, restarting');
+        await socket.connectNode();
+        this.observe(address, { running: true });
+        this.state.node(address).restarts++;
+        this.state.recordSuccess(address, 'connectNode', Date.now() + HOUR);
+    }
+
+    // Checks every wallet not observed within the poll interval
+    async poll(signal = null) {
+        for (const wallet of this.wallets) {
+            if (signal?.aborted) break;
+            if (!this.isStale(wallet.address)) continue;
+
+            try {
+                await logger.withContext({ wallet: wallet.address, task: 'nodeSupervisor' }, () => this._check(wallet));
+            } catch (error) {
+                logger.error(`Node check failed for ${wallet.address}`, '', error);
+            }
+        }
+        await this.state.save();
+    }
+
+    uptime(address) {
+        return uptimeStats(this.state.node(address));
+    }
+}
+
+// Adds the uptime ratio to a state entry
+export function uptimeStats(entry) {
+    const tracked = entry.upMs + entry.downMs;
+    return { ...entry, uptime: tracked > 0 ? entry.upMs / tracked : null };
+}
+
+export function formatUptime({ uptime, upMs, restarts }) {
+    if (uptime === null) return 'not enough data yet';
+    return `${(uptime * 100).toFixed(1)}% uptime, ${(upMs / HOUR).toFixed(1)}h up, ${restarts} restart(s)`;
+}
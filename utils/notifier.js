@@ -0,0 +1,184 @@
+import axios from "axios";
+import logger, { redactString } from './logger.js';
+
+export const NOTIFY_EVENTS = ['walletFailed', 'nodeDown', 'cooldown', 'cycleSummary'];
+const WEBHOOK_TYPES = ['generic', 'discord', 'telegram'];
+const SEND_TIMEOUT = 10000;
+const USERNAME = 'LayerEdge Auto Bot';
+
+// Turns a title, text and field list into the body each webhook type expects
+const FORMATTERS = {
+    generic: (webhook, { event, title, text, wallet, fields, time }) => ({
+        event, title, text, wallet, fields, time
+    }),
+    discord: (webhook, { title, text }) => ({
+        username: USERNAME,
+        content: `**${title}**\n${text}`.slice(0, 2000)
+    }),
+    telegram: (webhook, { title, text }) => ({
+        chat_id: webhook.chatId,
+        text: `${title}\n${text}`.slice(0, 4096),
+        disable_web_page_preview: true
+    })
+};
+
+function webhookUrl(webhook) {
+    return webhook.url || `https://api.telegram.org/bot${webhook.token}/sendMessage`;
+}
+
+// A bare URL becomes a Discord webhook when it looks like one, generic otherwise
+export function webhookFromUrl(url) {
+    return { type: /discord(app)?\.com\/api\/webhooks\//.test(url) ? 'discord' : 'generic', url };
+}
+
+// Checks `notify.webhooks`. Returns a list of [field, message] problems.
+export function validateWebhooks(webhooks) {
+    if (!Array.isArray(webhooks)) return [['notify.webhooks', 'must be a list']];
+    const problems = [];
+    webhooks.forEach((webhook, i) => {
+        const field = `notify.webhooks[${i}]`;
+        if (typeof webhook !== 'object' || webhook === null || Array.isArray(webhook)) {
+            problems.push([field, 'must be an object such as { "type": "generic", "url": "https://..." }']);
+            return;
+        }
+        if (!WEBHOOK_TYPES.includes(webhook.type)) {
+            problems.push([`${field}.type`, `expected one of ${WEBHOOK_TYPES.join(', ')}`]);
+        }
+        if (webhook.type === 'telegram') {
+            if (!webhook.token && !webhook.url) problems.push([`${field}.token`, 'a bot token (or url) is required']);
+            if (!webhook.chatId) problems.push([`${field}.chatId`, 'is required']);
+        } else if (typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+            problems.push([`${field}.url`, 'must be an http(s) URL']);
+        }
+        if (webhook.events !== undefined) {
+            const unknown = Array.isArray(webhook.events) ? webhook.events.filter(event => !NOTIFY_EVENTS.includes(event)) : [webhook.events];
+            if (unknown.length > 0) {
+                problems.push([`${field}.events`, `expected a list of ${NOTIFY_EVENTS.join(', ')}`]);
+            }
+        }
+    });
+    return problems;
+}
+
+async function post(url, body) {
+    await axios.post(url, body, { timeout: SEND_TIMEOUT });
+}
+
+// Sends bot events to the configured webhooks. The same event for the same
+// wallet and text is sent at most once per `dedupWindow`, and every webhook
+// accepts at most `rateLimit.max` messages per `rateLimit.window`; dropped
+// messages are counted and mentioned in the next one that goes out. Sending
+// never throws, a broken webhook only costs a warning.
+export class Notifier {
+    constructor({ webhooks = [], dedupWindow, rateLimit } = {}, { send = post, now = Date.now } = {}) {
+        this.webhooks = webhooks.map((webhook, i) => ({
+            ...webhook,
+            label: `${webhook.type} webhook #${i + 1}`,
+            events: webhook.events || NOTIFY_EVENTS,
+            sent: [],
+            dropped: 0
+        }));
+        this.dedupWindow = dedupWindow;
+        this.rateLimit = rateLimit;
+        this.send = send;
+        this.now = now;
+        this.recent = new Map();
+    }
+
+    get enabled() {
+        return this.webhooks.length > 0;
+    }
+
+    _isDuplicate(key, now) {
+        for (const [seen, at] of this.recent) {
+            if (now - at >= this.dedupWindow) this.recent.delete(seen);
+        }
+        if (this.recent.has(key)) return true;
+        this.recent.set(key, now);
+        return false;
+    }
+
+    _allow(webhook, now) {
+        webhook.sent = webhook.sent.filter(at => now - at < this.rateLimit.window);
+        if (webhook.sent.length >= this.rateLimit.max) {
+            webhook.dropped++;
+            return false;
+        }
+        webhook.sent.push(now);
+        return true;
+    }
+
+    // Messages count as duplicates when `key` (title and text by default)
+    // matches; `dedup: false` sends the message regardless
+    async notify(event, { title, text = '', wallet = null, fields = {}, key = null, dedup = true }) {
+        if (!this.enabled) return;
+
+        const now = this.now();
+        text = redactString(text);
+        if (dedup && this._isDuplicate(`${event}\n${wallet}\n${key ?? `${title}\n${text}`}`, now)) {
+            logger.debug('Notification suppressed as duplicate', title);
+            return;
+        }
+
+        const message = { event, title, text, wallet, fields, time: new Date(now).toISOString() };
+        await Promise.all(this.webhooks
+            .filter(webhook => webhook.events.includes(event))
+            .map(async webhook => {
+                if (!this._allow(webhook, now)) {
+                    logger.debug(`Notification dropped by the rate limit of ${webhook.label}`, title);
+                    return;
+                }
+                const dropped = webhook.dropped;
+                webhook.dropped = 0;
+                const body = FORMATTERS[webhook.type](webhook, dropped > 0
+                    ? { ...message, text: `${text}\n(${dropped} earlier notification(s) dropped by the rate limit)` }
+                    : message);
+                try {
+                    await this.send(webhookUrl(webhook), body);
+                } catch (error) {
+                    logger.warn(`Failed to notify ${webhook.label}`, error.response ? `HTTP ${error.response.status}` : error.message);
+                }
+            }));
+    }
+
+    walletFailed(wallet, reason) {
+        return this.notify('walletFailed', { wallet, title: `❌ Wallet ${wallet} failed`, text: reason });
+    }
+
+    nodeDown(wallet, text) {
+        return this.notify('nodeDown', { wallet, title: `🔴 Node down for ${wallet}`, text });
+    }
+
+    cooldown(wallet, task, until) {
+        return this.notify('cooldown', {
+            wallet,
+            title: `⏳ ${task} on cooldown for ${wallet}`,
+            text: `Blocked until ${new Date(until).toLocaleString()}`,
+            fields: { task, until: new Date(until).toISOString() },
+            // The end of a cooldown moves with every attempt
+            key: task
+        });
+    }
+
+    // `cycle` is the runCycle() result: { [address]: results | null }
+    cycleSummary(cycle) {
+        const entries = Object.entries(cycle);
+        const crashed = entries.filter(([, results]) => results === null).map(([address]) => address);
+        const failing = entries
+            .filter(([, results]) => results && Object.values(results).includes('failed'))
+            .map(([address, results]) => [address, Object.keys(results).filter(task => results[task] === 'failed')]);
+        const ok = entries.length - crashed.length - failing.length;
+
+        const lines = [
+            `${entries.length} wallet(s) processed: ${ok} ok, ${failing.length} with failed tasks, ${crashed.length} crashed`,
+            ...failing.map(([address, tasks]) => `${address}: ${tasks.join(', ')} failed`),
+            ...crashed.map(address => `${address}: crashed`)
+        ];
+        return this.notify('cycleSummary', {
+            title: crashed.length + failing.length > 0 ? '⚠️ Cycle finished with problems' : '✅ Cycle finished',
+            text: lines.join('\n'),
+            fields: { wallets: entries.length, ok, failed: failing.length, crashed: crashed.length },
+            dedup: false
+        });
+    }
+}
@@ -0,0 +1,59 @@
+import readline from 'readline';
+import chalk from "chalk";
+
+export const PASSPHRASE_ENV = 'LAYEREDGE_PASSPHRASE';
+
+let cached = null;
+
+function askHidden(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: true
+    });
+
+    let muted = false;
+    rl._writeToOutput = (text) => {
+        if (!muted) rl.output.write(text);
+    };
+
+    return new Promise((resolve) => {
+        rl.question(chalk.cyan(`◆ ${question}`), (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+// Resolves the keystore passphrase from LAYEREDGE_PASSPHRASE or, when
+// attached to a terminal, an interactive prompt. The answer is cached so
+// the user is only asked once per process.
+export async function getPassphrase({ confirm = false } = {}) {
+    if (cached) return cached;
+
+    if (process.env[PASSPHRASE_ENV]) {
+        cached = process.env[PASSPHRASE_ENV];
+        return cached;
+    }
+
+    if (!process.stdin.isTTY) {
+        throw new Error(`Wallet passphrase required: set ${PASSPHRASE_ENV} or run in a terminal`);
+    }
+
+    const passphrase = await askHidden('Wallet passphrase: ');
+    if (!passphrase) {
+        throw new Error('Wallet passphrase must not be empty');
+    }
+
+    if (confirm) {
+        const again = await askHidden('Confirm passphrase: ');
+        if (again !== passphrase) {
+            throw new Error('Passphrases do not match');
+        }
+    }
+
+    cached = passphrase;
+    return cached;
+}
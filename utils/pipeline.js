@@ -0,0 +1,321 @@
+import logger from './logger.js';
+import { CooldownError, AlreadyClaimedError, SchemaChangedError } from './api-errors.js';
+import { metrics } from './metrics.js';
+
+export const HOUR = 60 * 60 * 1000;
+export const DAY = 24 * HOUR;
+export const RETRY_AFTER_FAILURE = HOUR;
+
+const DEFAULT_TIMEOUT = 15 * 60 * 1000;
+
+// The per-wallet task graph. `dependsOn` tasks must have succeeded (this run,
+// or on their last run if they are not due yet); `after` only orders tasks.
+// `interval` is how long a task waits after a success before it is due again.
+// `resumeWith` tasks become owed once the task succeeds: they run even during
+// shutdown, and a restart runs them first if the process died before.
+// `ready` decides whether a due task is worth running right now; it returns
+// true or { until, reason } to defer the task until `until`. `column` is the
+// short name used in the cycle summary table.
+const TASK_DEFINITIONS = [
+    {
+        name: 'dailyCheckIn',
+        column: 'checkin',
+        label: 'Performing Daily Check-in',
+        interval: DAY,
+        run: socket => socket.dailyCheckIn()
+    },
+    {
+        name: 'submitProof',
+        column: 'proof',
+        label: 'Submitting Proof',
+        interval: DAY,
+        run: socket => socket.submitProof()
+    },
+    {
+        name: 'claimProofSubmissionPoints',
+        column: 'proof pts',
+        label: 'Claiming Proof Submission Points',
+        interval: DAY,
+        dependsOn: ['submitProof'],
+        run: socket => socket.claimProofSubmissionPoints()
+    },
+    {
+        name: 'checkNodeStatus',
+        column: 'status',
+        label: 'Checking Node Status',
+        interval: HOUR,
+        run: socket => socket.checkNodeStatus()
+    },
+    {
+        name: 'stopNode',
+        column: 'claim',
+        label: 'Claiming Node Points',
+        interval: HOUR,
+        dependsOn: ['checkNodeStatus'],
+        resumeWith: ['connectNode'],
+        // A restart costs uptime, so only claim once the session has run long enough
+        ready: async socket => {
+            const status = await socket.getNodeStatus();
+            if (!status?.running) {
+                return { until: Date.now() + HOUR, reason: 'node is not running, nothing to claim' };
+            }
+            const claimAt = status.startTimestamp * 1000 + socket.nodeOptions.claimAfter;
+            return claimAt <= Date.now() || { until: claimAt, reason: 'session too short to be worth claiming' };
+        },
+        run: socket => socket.stopNode()
+    },
+    {
+        name: 'connectNode',
+        column: 'connect',
+        label: 'Reconnecting Node',
+        interval: HOUR,
+        after: ['stopNode'],
+        ready: async socket => {
+            const status = await socket.getNodeStatus();
+            return status?.running === false || {
+                until: Date.now() + HOUR,
+                reason: status ? 'node is already running' : 'node status unknown'
+            };
+        },
+        run: socket => socket.connectNode()
+    },
+    {
+        name: 'claimLightNodePoints',
+        column: 'node pts',
+        label: 'Claiming Light Node Points',
+        interval: DAY,
+        after: ['connectNode'],
+        run: socket => socket.claimLightNodePoints()
+    },
+    {
+        name: 'checkNodePoints',
+        column: 'points',
+        label: 'Checking Node Points',
+        interval: HOUR,
+        after: ['claimLightNodePoints'],
+        run: socket => socket.checkNodePoints()
+    }
+];
+
+// Topologically sorts the definitions and fails fast on unknown or circular
+// dependencies, so a bad edit to the graph is caught at startup.
+function orderTasks(definitions) {
+    const byName = new Map(definitions.map(task => [task.name, task]));
+    const ordered = [];
+    const state = new Map();
+
+    const visit = (task, path) => {
+        if (state.get(task.name) === 'done') return;
+        if (state.get(task.name) === 'visiting') {
+            throw new Error(`Circular task dependency: ${[...path, task.name].join(' -> ')}`);
+        }
+        state.set(task.name, 'visiting');
+        for (const dep of [...(task.dependsOn || []), ...(task.after || [])]) {
+            if (!byName.has(dep)) {
+                throw new Error(`Task ${task.name} depends on unknown task ${dep}`);
+            }
+            visit(byName.get(dep), [...path, task.name]);
+        }
+        state.set(task.name, 'done');
+        ordered.push(task);
+    };
+
+    definitions.forEach(task => visit(task, []));
+    return ordered;
+}
+
+export const TASKS = orderTasks(TASK_DEFINITIONS);
+export const TASK_NAMES = TASKS.map(task => task.name);
+
+// Checks `tasks` overrides from wallets.json or config.json. Returns a list
+// of [field, message] problems.
+export function validateTaskOverrides(overrides) {
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+        return [['tasks', 'must be an object keyed by task name']];
+    }
+
+    const problems = [];
+    for (const [name, options] of Object.entries(overrides)) {
+        const field = `tasks.${name}`;
+        if (!TASK_NAMES.includes(name)) {
+            problems.push([field, `unknown task, expected one of ${TASK_NAMES.join(', ')}`]);
+            continue;
+        }
+        if (typeof options !== 'object' || options === null) {
+            problems.push([field, 'must be an object such as { "enabled": false }']);
+            continue;
+        }
+        if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+            problems.push([`${field}.enabled`, 'must be true or false']);
+        }
+        if (options.timeout !== undefined && !(Number.isFinite(options.timeout) && options.timeout > 0)) {
+            problems.push([`${field}.timeout`, 'must be a positive number of milliseconds']);
+        }
+    }
+    return problems;
+}
+
+// Layers a wallet's task overrides on top of the global task defaults
+export function mergeTaskOptions(defaults = {}, overrides = {}) {
+    const merged = {};
+    for (const name of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+        merged[name] = { ...defaults[name], ...overrides[name] };
+    }
+    return merged;
+}
+
+// Resolves enable flags and timeouts for one wallet. A task whose dependency
+// is disabled is disabled as well.
+function resolveTasks(overrides = {}) {
+    const resolved = new Map();
+    for (const task of TASKS) {
+        const options = overrides[task.name] || {};
+        const disabledDep = (task.dependsOn || []).find(dep => !resolved.get(dep).enabled);
+        resolved.set(task.name, {
+            ...task,
+            enabled: options.enabled !== false && !disabledDep,
+            disabledBy: options.enabled === false ? null : disabledDep,
+            timeout: options.timeout || DEFAULT_TIMEOUT
+        });
+    }
+    return [...resolved.values()];
+}
+
+function withTimeout(promise, ms, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Task ${name} timed out after ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function hasDueTasks(state, address, overrides) {
+    return resolveTasks(overrides).some(task => task.enabled && state.isDue(address, task.name));
+}
+
+// Earliest time any enabled task of any wallet becomes due
+export function nextDue(state, wallets) {
+    let earliest = Infinity;
+    for (const { address, tasks } of wallets) {
+        for (const task of resolveTasks(tasks)) {
+            if (task.enabled) {
+                earliest = Math.min(earliest, state.nextEligible(address, task.name));
+            }
+        }
+    }
+    return earliest;
+}
+
+// Runs the task graph for one wallet and records every outcome in the state
+// store. Returns { [task]: status } where status is one of success, failed,
+// cooldown, skipped (not due), blocked (dependency failed), deferred (not
+// worth running yet), disabled or interrupted (not started because `signal`
+// was aborted; it stays due). Owed tasks skip their `ready` check.
+// When `steps` is given it is filled with { [task]: { status, durationMs,
+// error, note } }, where `error` explains a failure and `note` any other
+// outcome that did not run the task to success.
+export async function runPipeline(socket, state, overrides = {}, { signal, steps = {} } = {}) {
+    const { address } = socket.signer;
+    const results = {};
+    const finish = (task, status, { durationMs = null, error = null, note = null } = {}) => {
+        results[task.name] = status;
+        steps[task.name] = { status, durationMs, error, note };
+    };
+
+    for (const task of resolveTasks(overrides)) {
+        if (!task.enabled) {
+            const note = task.disabledBy ? `Dependency ${task.disabledBy} is disabled` : 'Disabled for this wallet';
+            finish(task, 'disabled', { note });
+            logger.verbose(`Skipping ${task.label}`, note);
+            continue;
+        }
+
+        if (signal?.aborted && !state.isPending(address, task.name)) {
+            finish(task, 'interrupted', { note: 'Shutting down' });
+            logger.verbose(`Skipping ${task.label}`, 'Shutting down');
+            continue;
+        }
+
+        if (!state.isDue(address, task.name)) {
+            const note = `Next eligible at ${new Date(state.nextEligible(address, task.name)).toLocaleString()}`;
+            finish(task, 'skipped', { note });
+            logger.verbose(`Skipping ${task.label}`, note);
+            continue;
+        }
+
+        const unmet = (task.dependsOn || []).filter(dep => {
+            const outcome = results[dep];
+            return outcome === 'skipped'
+                ? state.task(address, dep).lastStatus !== 'success'
+                : outcome !== 'success';
+        });
+        if (unmet.length > 0) {
+            finish(task, 'blocked', { note: `Waiting for ${unmet.join(', ')}` });
+            const retryAt = Math.max(...unmet.map(dep => state.nextEligible(address, dep)));
+            state.recordBlocked(address, task.name, retryAt);
+            await state.save();
+            logger.verbose(`Skipping ${task.label}`, `Waiting for ${unmet.join(', ')}`);
+            continue;
+        }
+
+        if (task.ready && !state.isPending(address, task.name)) {
+            const ready = await task.ready(socket);
+            if (ready !== true) {
+                const note = `${ready.reason}, next check at ${new Date(ready.until).toLocaleString()}`;
+                finish(task, 'deferred', { note });
+                state.recordDeferred(address, task.name, ready.until);
+                await state.save();
+                logger.verbose(`Skipping ${task.label}`, note);
+                continue;
+            }
+        }
+
+        logger.progress(address, task.label, 'processing');
+        const started = Date.now();
+        let ok = false;
+        let cooldownUntil = null;
+        let failure = 'Task returned no result';
+        let note = null;
+        try {
+            ok = Boolean(await logger.withContext({ task: task.name }, () => withTimeout(task.run(socket), task.timeout, task.name)));
+        } catch (error) {
+            if (error instanceof CooldownError) {
+                cooldownUntil = error.until;
+                note = `Until ${new Date(error.until).toLocaleString()}`;
+                logger.info(`${task.label} on cooldown`, note);
+            } else if (error instanceof AlreadyClaimedError) {
+                ok = true;
+                note = error.message;
+                logger.info(`${task.label} already done`, error.message);
+            } else if (error instanceof SchemaChangedError) {
+                failure = `The API response changed: ${error.problems.join('; ')}`;
+                logger.error(`${task.label} failed, the API response changed`, error.problems.join('; '));
+            } else {
+                failure = `${error.name}: ${error.message}`;
+                logger.error(`${task.label} failed`, failure);
+            }
+        }
+        const durationMs = Date.now() - started;
+
+        if (cooldownUntil) {
+            finish(task, 'cooldown', { durationMs, note });
+            state.recordCooldown(address, task.name, cooldownUntil);
+        } else if (ok) {
+            finish(task, 'success', { durationMs, note });
+            state.recordSuccess(address, task.name, Date.now() + task.interval);
+            for (const next of task.resumeWith || []) {
+                state.recordPending(address, next);
+            }
+        } else {
+            finish(task, 'failed', { durationMs, error: failure });
+            state.recordFailure(address, task.name, Date.now() + RETRY_AFTER_FAILURE);
+        }
+        if (!socket.dryRun) {
+            metrics.taskRuns.inc({ wallet: address, task: task.name, status: results[task.name] });
+        }
+        await state.save();
+        logger.log('verbose', `${task.label} finished`, results[task.name], null, { task: task.name, durationMs });
+    }
+
+    return results;
+}
@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import logger from './logger.js';
+import { DAY } from './pipeline.js';
+
+const POINTS_FILE = 'points-history.jsonl';
+
+// Appends one wallet-details snapshot as a JSONL line
+export async function recordPoints(address, details, file = POINTS_FILE) {
+    const snapshot = {
+        time: new Date().toISOString(),
+        wallet: address,
+        nodePoints: Number(details?.nodePoints ?? 0),
+        details
+    };
+    await fs.appendFile(file, `${JSON.stringify(snapshot)}\n`, 'utf-8');
+    return snapshot;
+}
+
+function parseSnapshot(line) {
+    try {
+        const snapshot = JSON.parse(line);
+        const valid = typeof snapshot?.wallet === 'string' && typeof snapshot.time === 'string' && Number.isFinite(snapshot.nodePoints);
+        return valid ? snapshot : null;
+    } catch {
+        return null;
+    }
+}
+
+// Malformed or truncated lines are skipped with one warning, so a single bad
+// write does not hide the rest of the history
+export async function readPoints(file = POINTS_FILE, { wallet = null } = {}) {
+    let data;
+    try {
+        data = await fs.readFile(file, 'utf-8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const lines = data.split('\n').filter(line => line.trim().length > 0);
+    const snapshots = lines.map(parseSnapshot).filter(Boolean);
+    if (snapshots.length < lines.length) {
+        logger.warn(`Skipped ${lines.length - snapshots.length} unreadable line(s) in ${file}`);
+    }
+
+    return snapshots
+        .filter(snapshot => !wallet || snapshot.wallet.toLowerCase() === wallet.toLowerCase())
+        .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// Summarises snapshots per wallet: gains between consecutive snapshots
+// (one per cycle), gains per UTC day, and whether the points stopped growing
+// for longer than `stallAfter` ms.
+export function buildReport(snapshots, { stallAfter = DAY, now = Date.now() } = {}) {
+    const byWallet = new Map();
+    for (const snapshot of snapshots) {
+        if (!byWallet.has(snapshot.wallet)) byWallet.set(snapshot.wallet, []);
+        byWallet.get(snapshot.wallet).push(snapshot);
+    }
+
+    const wallets = [...byWallet.entries()].map(([wallet, list]) => {
+        const cycles = list.slice(1).map((snapshot, i) => ({
+            time: snapshot.time,
+            nodePoints: snapshot.nodePoints,
+            gain: snapshot.nodePoints - list[i].nodePoints
+        }));
+
+        const days = [];
+        let previous = list[0].nodePoints;
+        for (const snapshot of list) {
+            const date = snapshot.time.slice(0, 10);
+            let day = days.at(-1);
+            if (!day || day.date !== date) {
+                day = { date, startPoints: previous, nodePoints: snapshot.nodePoints, gain: 0 };
+                days.push(day);
+            }
+            day.nodePoints = snapshot.nodePoints;
+            day.gain = day.nodePoints - day.startPoints;
+            previous = snapshot.nodePoints;
+        }
+
+        const lastGrowth = [...cycles].reverse().find(cycle => cycle.gain > 0)?.time ?? list[0].time;
+        const first = list[0];
+        const last = list.at(-1);
+
+        return {
+            wallet,
+            firstSeen: first.time,
+            lastSeen: last.time,
+            snapshots: list.length,
+            nodePoints: last.nodePoints,
+            totalGain: last.nodePoints - first.nodePoints,
+            lastGrowth,
+            stalled: now - new Date(lastGrowth).getTime() > stallAfter,
+            cycles,
+            days: days.map(({ date, nodePoints, gain }) => ({ date, nodePoints, gain }))
+        };
+    });
+
+    return { generatedAt: new Date(now).toISOString(), wallets };
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per snapshot with the gain since the wallet's previous snapshot
+export function toCsv(snapshots) {
+    const previous = new Map();
+    const rows = [['time', 'wallet', 'nodePoints', 'gain']];
+    for (const { time, wallet, nodePoints } of snapshots) {
+        const gain = previous.has(wallet) ? nodePoints - previous.get(wallet) : 0;
+        previous.set(wallet, nodePoints);
+        rows.push([time, wallet, nodePoints, gain]);
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,32 @@
+import fs from 'fs/promises';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import logger from './logger.js';
+
+// One proxy URL per line, blank lines ignored. A missing file means no proxies.
+export async function readProxies(file) {
+    try {
+        const data = await fs.readFile(file, 'utf8');
+        return data.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Error reading file: ${error.message}`);
+        }
+        return [];
+    }
+}
+
+// http://, socks4:// and socks5:// proxies; anything else runs without one
+export function newAgent(proxy = null) {
+    if (!proxy) return null;
+    if (proxy.startsWith('http://')) {
+        return new HttpsProxyAgent(proxy);
+    }
+    if (proxy.startsWith('socks4://') || proxy.startsWith('socks5://')) {
+        return new SocksProxyAgent(proxy);
+    }
+    logger.warn(`Unsupported proxy type: ${proxy}`);
+    return null;
+}
@@ -0,0 +1,69 @@
+import axios from "axios";
+import { getAddress, hexlify, toUtf8Bytes, verifyMessage } from "ethers";
+import { assertSignable } from './signing-policy.js';
+
+const SIGN_METHODS = ['personal_sign', 'eth_sign'];
+
+// Signs through an external JSON-RPC signer (Clef, Web3Signer, ...) so the
+// bot host never holds the key. Every signature is checked against the
+// configured address before it is handed back.
+export class RemoteSigner {
+    constructor({ url, address, method = 'personal_sign', timeout = 30000 }) {
+        if (!SIGN_METHODS.includes(method)) {
+            throw new Error(`Unsupported remote signer method: ${method}`);
+        }
+
+        this.url = url;
+        this.address = getAddress(address);
+        this.method = method;
+        this.timeout = timeout;
+        this.requestId = 0;
+    }
+
+    async _call(method, params) {
+        const response = await axios.post(this.url, {
+            jsonrpc: '2.0',
+            id: ++this.requestId,
+            method,
+            params
+        }, { timeout: this.timeout });
+
+        if (response.data?.error) {
+            throw new Error(`Remote signer error: ${response.data.error.message || JSON.stringify(response.data.error)}`);
+        }
+        return response.data?.result;
+    }
+
+    async signMessage(message) {
+        assertSignable(message, this.address);
+        return this._sign(message);
+    }
+
+    async _sign(message) {
+        const data = hexlify(toUtf8Bytes(message));
+        const params = this.method === 'personal_sign'
+            ? [data, this.address]
+            : [this.address, data];
+
+        const signature = await this._call(this.method, params);
+        if (typeof signature !== 'string' || verifyMessage(message, signature) !== this.address) {
+            throw new Error(`Remote signer at ${this.url} returned a signature that does not match ${this.address}`);
+        }
+        return signature;
+    }
+
+    // Confirms the signer is reachable and holds the key for this address
+    async verify() {
+        try {
+            const message = `LayerEdge signer check for ${this.address} at ${Date.now()}`;
+            assertSignable(message, this.address, { probe: true });
+            await this._sign(message);
+        } catch (error) {
+            throw new Error(`Remote signer cannot sign for ${this.address}: ${error.message}`);
+        }
+    }
+
+    toJSON() {
+        return { address: this.address, url: this.url };
+    }
+}
@@ -0,0 +1,195 @@
+import axios from "axios";
+import logger from './logger.js';
+import { metrics } from './metrics.js';
+
+const RETRYABLE_STATUS = new Set([408, 429]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_NETWORK', 'ERR_BAD_RESPONSE']);
+
+export const DEFAULT_RETRY_OPTIONS = {
+    retries: 5,
+    backoff: { base: 1000, max: 30000 },
+    maxRetryWait: 2 * 60 * 1000,
+    circuitBreaker: { threshold: 5, cooldown: 5 * 60 * 1000 }
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Groups requests per endpoint rather than per wallet, so a dead endpoint
+// trips one breaker for every wallet that calls it.
+function endpointKey(config) {
+    try {
+        const { origin, pathname } = new URL(config.url);
+        const path = pathname.replace(/0x[0-9a-fA-F]{40}/g, ':address');
+        return `${(config.method || 'get').toUpperCase()} ${origin}${path}`;
+    } catch {
+        return String(config.url);
+    }
+}
+
+// Seconds or an HTTP date, as allowed by RFC 9110
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoffDelay(attempt, { base, max }) {
+    const exponential = Math.min(max, base * 2 ** attempt);
+    return exponential / 2 + Math.random() * exponential / 2;
+}
+
+// Decides what to do with one attempt. Returns { retryable, reason, retryAfter }.
+function classify(error, response) {
+    if (response) {
+        if (RETRYABLE_STATUS.has(response.status)) {
+            return { retryable: true, reason: `HTTP ${response.status}`, retryAfter: parseRetryAfter(response.headers?.['retry-after']) };
+        }
+        return { retryable: false };
+    }
+
+    const status = error.response?.status;
+    if (status >= 500 || RETRYABLE_STATUS.has(status)) {
+        return { retryable: true, reason: `HTTP ${status}`, retryAfter: parseRetryAfter(error.response.headers?.['retry-after']) };
+    }
+    if (status) {
+        return { retryable: false, reason: `HTTP ${status}` };
+    }
+    if (RETRYABLE_CODES.has(error.code) || error.request) {
+        return { retryable: true, reason: error.code || error.message };
+    }
+    return { retryable: false, reason: error.message };
+}
+
+export class CircuitBreaker {
+    constructor({ threshold, cooldown }) {
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trial = false;
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.cooldown ? 'half-open' : 'open';
+    }
+
+    // A half-open breaker lets a single trial request through; the others
+    // are refused until its outcome is recorded
+    allowRequest() {
+        const state = this.state;
+        if (state === 'open') return false;
+        if (state === 'half-open') {
+            if (this.trial) return false;
+            this.trial = true;
+        }
+        return true;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trial = false;
+    }
+
+    // Ends a trial that failed through no fault of the endpoint (a 4xx, or a
+    // request that could not be built) without reopening the breaker
+    releaseTrial() {
+        this.trial = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trial = false;
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+const breakers = new Map();
+
+export class RequestHandler {
+    static breakerFor(key, options) {
+        if (!breakers.has(key)) {
+            breakers.set(key, new CircuitBreaker(options));
+        }
+        return breakers.get(key);
+    }
+
+    static resetCircuits() {
+        breakers.clear();
+    }
+
+    // Sends the request, retrying network errors, 5xx, 408 and 429 with
+    // jittered exponential backoff (or the server's Retry-After) until the
+    // retry count or the total wait budget runs out. Other 4xx responses are
+    // returned to the caller without retrying. Returns null on failure.
+    static async makeRequest(config, options = {}) {
+        const { retries, backoff, maxRetryWait, circuitBreaker } = {
+            ...DEFAULT_RETRY_OPTIONS,
+            ...options,
+            backoff: { ...DEFAULT_RETRY_OPTIONS.backoff, ...options.backoff },
+            circuitBreaker: { ...DEFAULT_RETRY_OPTIONS.circuitBreaker, ...options.circuitBreaker }
+        };
+        const key = endpointKey(config);
+        const breaker = RequestHandler.breakerFor(key, circuitBreaker);
+        let waited = 0;
+
+        for (let i = 0; i < retries; i++) {
+            if (!breaker.allowRequest()) {
+                logger.warn(`Circuit open, skipping request`, key);
+                return null;
+            }
+
+            let response = null;
+            let error = null;
+            const started = process.hrtime.bigint();
+            try {
+                logger.verbose(`Attempting request (${i + 1}/${retries})`, `URL: ${config.url}`);
+                response = await axios(config);
+            } catch (err) {
+                error = err;
+            }
+            metrics.requestDuration.observe(
+                { endpoint: key, status: response?.status ?? error.response?.status ?? error.code ?? 'error' },
+                Number(process.hrtime.bigint() - started) / 1e9
+            );
+
+            const { retryable, reason, retryAfter } = classify(error, response);
+            if (!retryable) {
+                if (response) {
+                    breaker.recordSuccess();
+                    logger.verbose(`Request completed`, `Status: ${response.status}`);
+                    return response;
+                }
+                breaker.releaseTrial();
+                logger.error(`Request failed permanently`, reason, error);
+                return null;
+            }
+
+            breaker.recordFailure();
+            if (i === retries - 1) {
+                logger.error(`Max retries reached`, `${reason} - ${key}`, error);
+                return null;
+            }
+
+            const wait = retryAfter ?? backoffDelay(i, backoff);
+            if (waited + wait > maxRetryWait) {
+                logger.error(`Retry budget exhausted`, `${reason} - would exceed ${maxRetryWait / 1000}s of waiting for ${key}`);
+                return null;
+            }
+
+            logger.warn(`Request failed (${reason})`, `Attempt ${i + 1}/${retries}, retrying in ${(wait / 1000).toFixed(1)}s`);
+            metrics.requestRetries.inc({ endpoint: key, reason });
+            waited += wait;
+            await sleep(wait);
+        }
+        return null;
+    }
+}
@@ -0,0 +1,140 @@
+import { HOUR, DAY } from './pipeline.js';
+import {
+    ApiError,
+    CooldownError,
+    AlreadyClaimedError,
+    InvalidSignatureError,
+    NotRegisteredError,
+    SchemaChangedError
+} from './api-errors.js';
+import { DRY_RUN_MESSAGE } from './dry-run.js';
+
+// What a successful response of every endpoint looks like and the typed
+// result decoded from it. Schema leaves are type names, `a|b` allows either;
+// fields not listed are ignored so additions on the API side do no harm.
+// `dryRun` is the body a dry run pretends to receive: a success for every
+// endpoint, and a node that has run long enough to be claimed.
+export const ENDPOINTS = {
+    verifyReferralCode: {
+        schema: { data: { valid: 'boolean' } },
+        dryRun: { data: { valid: true } },
+        result: body => ({ valid: body.data.valid })
+    },
+    registerWallet: {
+        schema: { message: 'string' },
+        dryRun: { message: DRY_RUN_MESSAGE },
+        result: body => ({ message: body.message })
+    },
+    nodeAction: {
+        schema: { message: 'string' },
+        dryRun: { message: DRY_RUN_MESSAGE },
+        result: body => ({ message: body.message, startTimestamp: body.data?.startTimestamp ?? null })
+    },
+    nodeStatus: {
+        schema: { data: { startTimestamp: 'number|null' } },
+        dryRun: { data: { startTimestamp: 0 } },
+        result: body => ({ running: body.data.startTimestamp !== null, startTimestamp: body.data.startTimestamp })
+    },
+    dailyCheckIn: {
+        schema: { message: 'string' },
+        dryRun: { message: DRY_RUN_MESSAGE },
+        result: body => ({ message: body.message })
+    },
+    walletDetails: {
+        schema: { data: { nodePoints: 'number' } },
+        dryRun: { data: { nodePoints: 0 } },
+        result: body => body.data
+    },
+    sendProof: {
+        schema: { success: 'boolean', message: 'string' },
+        dryRun: { success: true, message: DRY_RUN_MESSAGE },
+        result: body => ({ message: body.message })
+    },
+    claimTask: {
+        schema: { message: 'string' },
+        dryRun: { message: DRY_RUN_MESSAGE },
+        result: body => ({ message: body.message })
+    }
+};
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Returns a list of "path: expected x, got y" problems
+export function checkSchema(value, schema, path = '') {
+    if (typeof schema === 'string') {
+        const actual = typeOf(value);
+        return schema.split('|').includes(actual) ? [] : [`${path || 'body'}: expected ${schema}, got ${actual}`];
+    }
+    if (!isObject(value)) {
+        return [`${path || 'body'}: expected object, got ${typeOf(value)}`];
+    }
+    return Object.entries(schema).flatMap(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        return key in value ? checkSchema(value[key], child, childPath) : [`${childPath}: missing`];
+    });
+}
+
+// Turns the "after ..." part of a cooldown message into a timestamp. Accepts
+// both absolute dates and durations such as "23h 59m 10s".
+export function parseCooldown(text, now = Date.now()) {
+    const absolute = Date.parse(text);
+    if (!Number.isNaN(absolute)) return absolute;
+
+    const units = { d: DAY, h: HOUR, m: 60 * 1000, s: 1000 };
+    let total = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+)\s*([dhms])[a-z]*/gi)) {
+        total += Number(amount) * units[unit.toLowerCase()];
+    }
+    return total > 0 ? now + total : null;
+}
+
+// Maps a rejected request to the matching named error
+function rejection(endpoint, status, body) {
+    const message = isObject(body) ? String(body.message ?? '') : String(body ?? '').slice(0, 200);
+    const code = (isObject(body) && Number(body.statusCode)) || status;
+    const details = { endpoint, status: code, body };
+    const text = `${endpoint}: ${message || `HTTP ${code}`}`;
+
+    const cooldown = message.match(/come back after\s+([^!]+)/i);
+    if (cooldown) {
+        return new CooldownError(text, details, parseCooldown(cooldown[1].trim()) ?? Date.now() + HOUR);
+    }
+    if (code === 401 || /invalid signature/i.test(message)) {
+        return new InvalidSignatureError(text, details);
+    }
+    if (/not registered|wallet not found|user not found/i.test(message)) {
+        return new NotRegisteredError(text, details);
+    }
+    if (/already/i.test(message)) {
+        return new AlreadyClaimedError(text, details);
+    }
+    return new ApiError(text, details);
+}
+
+// Decodes `response` (from RequestHandler.makeRequest, null on transport
+// failure) for `endpoint`. Returns the typed result or throws a named error.
+export function decode(endpoint, response) {
+    const spec = ENDPOINTS[endpoint];
+    if (!response) {
+        throw new ApiError(`${endpoint}: no response`, { endpoint });
+    }
+
+    const { status, data: body } = response;
+    if (status >= 400 || (isObject(body) && (Number(body.statusCode) >= 400 || body.success === false))) {
+        throw rejection(endpoint, status, body);
+    }
+
+    const problems = checkSchema(body, spec.schema);
+    if (problems.length > 0) {
+        throw new SchemaChangedError(`${endpoint}: unexpected response shape`, { endpoint, status, body }, problems);
+    }
+    return spec.result(body);
+}
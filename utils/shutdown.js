@@ -0,0 +1,29 @@
+import logger from './logger.js';
+
+const FORCED_EXIT_CODE = 130;
+
+const controller = new AbortController();
+
+// Aborted on the first SIGINT/SIGTERM. The pipeline stops starting new tasks
+// but still finishes the current one and anything it left owed (a node that
+// was stopped is always reconnected), then the caller saves state and exits.
+export const shutdownSignal = controller.signal;
+
+export function requestShutdown(reason = 'shutdown requested') {
+    if (!controller.signal.aborted) controller.abort(reason);
+}
+
+// A second signal exits immediately. State is saved after every task, so the
+// next run resumes from the last finished one.
+export function handleShutdownSignals() {
+    for (const name of ['SIGINT', 'SIGTERM']) {
+        process.on(name, () => {
+            if (controller.signal.aborted) {
+                logger.warn(`${name} received again`, 'Exiting now, the next run resumes any unfinished task');
+                process.exit(FORCED_EXIT_CODE);
+            }
+            logger.warn(`${name} received`, 'Finishing the current task before exiting, send it again to force');
+            requestShutdown(name);
+        });
+    }
+}
@@ -0,0 +1,352 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { inspect } from 'util';
+import { Wallet, getAddress, isAddress, isKeystoreJson } from "ethers";
+import { getPassphrase } from './passphrase.js';
+import { RemoteSigner } from './remote-signer.js';
+import { assertSignable } from './signing-policy.js';
+import { validateTaskOverrides } from './pipeline.js';
+import { writeJsonAtomic } from './json-file.js';
+import logger from './logger.js';
+
+const WALLETS_FILE = 'wallets.json';
+
+// Private keys never leave this module: every Signer keeps its ethers Wallet
+// here, keyed by the Signer instance, so the rest of the bot only ever sees
+// an address and a signMessage() method that only accepts messages allowed by
+// the signing policy.
+const wallets = new WeakMap();
+
+export class Signer {
+    constructor(wallet) {
+        wallets.set(this, wallet);
+        this.address = wallet.address;
+    }
+
+    static createRandom() {
+        return new Signer(Wallet.createRandom());
+    }
+
+    async signMessage(message) {
+        assertSignable(message, this.address);
+        return wallets.get(this).signMessage(message);
+    }
+
+    toJSON() {
+        return { address: this.address };
+    }
+
+    [inspect.custom]() {
+        return `Signer { address: '${this.address}' }`;
+    }
+}
+
+// Keys pasted into wallets.json often carry stray whitespace; validation and
+// loading must agree on what the key is
+function normalizePrivateKey(privateKey) {
+    return typeof privateKey === 'string' ? privateKey.trim() : privateKey;
+}
+
+function fromPrivateKey(privateKey, index, file) {
+    try {
+        return new Signer(new Wallet(normalizePrivateKey(privateKey)));
+    } catch {
+        // Never echo the key itself back into logs
+        throw new Error(`Invalid private key for wallet #${index + 1} in ${file}`);
+    }
+}
+
+async function fromKeystore(json, passphrase, index, file) {
+    try {
+        return new Signer(await Wallet.fromEncryptedJson(json, passphrase));
+    } catch (error) {
+        const reason = /password/i.test(error.message) ? 'incorrect passphrase' : error.message;
+        throw new Error(`Failed to decrypt wallet #${index + 1} in ${file}: ${reason}`);
+    }
+}
+
+// A missing file reads as no wallets unless it is `required`
+async function readWalletEntries(file, { required = false } = {}) {
+    try {
+        const data = await fs.readFile(file, "utf-8");
+        return JSON.parse(data);
+    } catch (err) {
+        if (err.code === 'ENOENT' && !required) {
+            return [];
+        }
+        if (err.code === 'ENOENT') {
+            throw new Error(`${file} not found`);
+        }
+        throw err;
+    }
+}
+
+// Replaces the wallets file atomically and keeps it readable by the owner only
+function writeWalletEntries(file, entries) {
+    return writeJsonAtomic(file, entries, { mode: 0o600 });
+}
+
+function isEncrypted(entry) {
+    return Boolean(entry.keystore || entry.keystoreFile);
+}
+
+function isRemote(entry) {
+    return Boolean(entry.remoteSigner);
+}
+
+async function fromRemote(entry, index, file) {
+    try {
+        const signer = new RemoteSigner({ address: entry.address, ...entry.remoteSigner });
+        await signer.verify();
+        return signer;
+    } catch (error) {
+        throw new Error(`Wallet #${index + 1} in ${file}: ${error.message}`);
+    }
+}
+
+async function readKeystore(entry, file) {
+    if (entry.keystoreFile) {
+        return fs.readFile(path.resolve(path.dirname(file), entry.keystoreFile), 'utf-8');
+    }
+    return typeof entry.keystore === 'string' ? entry.keystore : JSON.stringify(entry.keystore);
+}
+
+async function encryptWallet(wallet, passphrase) {
+    return JSON.parse(await wallet.encrypt(passphrase));
+}
+
+export async function loadSigners(file = WALLETS_FILE) {
+    const entries = await readWalletEntries(file);
+    const passphrase = entries.some(isEncrypted) ? await getPassphrase() : null;
+
+    const loaded = [];
+    for (const [i, entry] of entries.entries()) {
+        let signer;
+        if (isRemote(entry)) {
+            signer = await fromRemote(entry, i, file);
+        } else if (isEncrypted(entry)) {
+            signer = await fromKeystore(await readKeystore(entry, file), passphrase, i, file);
+        } else {
+            signer = fromPrivateKey(entry.privateKey, i, file);
+        }
+        loaded.push({
+            address: signer.address,
+            signer,
+            plaintext: !isRemote(entry) && !isEncrypted(entry),
+            tasks: entry.tasks || {}
+        });
+    }
+    return loaded;
+}
+
+export async function saveSigner(signer, passphrase, file = WALLETS_FILE) {
+    const wallet = wallets.get(signer);
+    if (!wallet) {
+        throw new Error('Unknown signer');
+    }
+
+    const entries = await readWalletEntries(file);
+    entries.push({
+        address: wallet.address,
+        keystore: await encryptWallet(wallet, passphrase)
+    });
+    await writeWalletEntries(file, entries);
+}
+
+// Encrypts every plaintext entry of the wallets file in place. Entries that
+// carry a mnemonic are restored from it so the phrase ends up in the keystore
+// too; an entry whose mnemonic belongs to another key is left untouched
+// rather than losing either. Returns { migrated, refused } where `refused`
+// lists the numbers of the untouched wallets; throws when the file is missing
+// or lists no wallets.
+export async function encryptWalletsFile(passphrase, file = WALLETS_FILE) {
+    const entries = await readWalletEntries(file, { required: true });
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`${file} lists no wallets`);
+    }
+
+    let migrated = 0;
+    const refused = [];
+    const result = [];
+    for (const [i, entry] of entries.entries()) {
+        if (isEncrypted(entry) || isRemote(entry)) {
+            result.push(entry);
+            continue;
+        }
+
+        const { privateKey, mnemonic, ...rest } = entry;
+        let wallet = wallets.get(fromPrivateKey(privateKey, i, file));
+        if (mnemonic) {
+            const fromPhrase = Wallet.fromPhrase(mnemonic);
+            if (fromPhrase.address !== wallet.address) {
+                logger.error(`Wallet #${i + 1} in ${file} left unencrypted`, `its mnemonic belongs to ${fromPhrase.address}, not ${wallet.address}`);
+                refused.push(i + 1);
+                result.push(entry);
+                continue;
+            }
+            wallet = fromPhrase;
+        }
+
+        result.push({
+            ...rest,
+            address: wallet.address,
+            keystore: await encryptWallet(wallet, passphrase)
+        });
+        migrated++;
+    }
+
+    if (migrated > 0) {
+        await writeWalletEntries(file, result);
+    }
+    return { migrated, refused };
+}
+
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+const PLACEHOLDER_PATTERN = /^your\b|^<.*>$|^x+$|changeme/i;
+
+function checkAddress(entry, report) {
+    if (entry.address === undefined) {
+        report('address', 'missing "address"');
+        return null;
+    }
+    if (typeof entry.address !== 'string' || PLACEHOLDER_PATTERN.test(entry.address)) {
+        report('address', `placeholder or non-string address ${JSON.stringify(entry.address)}`);
+        return null;
+    }
+    if (!isAddress(entry.address)) {
+        report('address', `malformed address "${entry.address}" (bad length, characters or checksum)`);
+        return null;
+    }
+    return getAddress(entry.address);
+}
+
+function deriveFromPrivateKey(entryKey, report) {
+    const privateKey = normalizePrivateKey(entryKey);
+    if (typeof privateKey !== 'string' || PLACEHOLDER_PATTERN.test(privateKey)) {
+        report('privateKey', 'placeholder private key, fill in a real key');
+        return null;
+    }
+    if (!PRIVATE_KEY_PATTERN.test(privateKey)) {
+        report('privateKey', 'malformed private key, expected 64 hex characters');
+        return null;
+    }
+    try {
+        return new Wallet(privateKey).address;
+    } catch {
+        report('privateKey', 'private key is not a valid secp256k1 key');
+        return null;
+    }
+}
+
+async function deriveFromKeystore(entry, file, report) {
+    let json;
+    try {
+        json = await readKeystore(entry, file);
+    } catch (error) {
+        report('keystoreFile', `cannot read keystore file: ${error.message}`);
+        return null;
+    }
+    if (!isKeystoreJson(json)) {
+        report(entry.keystoreFile ? 'keystoreFile' : 'keystore', 'not a valid JSON keystore (v3)');
+        return null;
+    }
+    const address = String(JSON.parse(json).address);
+    const prefixed = address.startsWith('0x') ? address : `0x${address}`;
+    return isAddress(prefixed) ? getAddress(prefixed) : null;
+}
+
+function checkRemoteSigner(remote, report) {
+    if (typeof remote !== 'object' || remote === null) {
+        report('remoteSigner', 'must be an object with a "url"');
+        return;
+    }
+    try {
+        const { protocol } = new URL(remote.url);
+        if (!['http:', 'https:'].includes(protocol)) throw new Error();
+    } catch {
+        report('remoteSigner.url', `invalid signer URL ${JSON.stringify(remote.url)}`);
+    }
+    if (remote.method !== undefined && !['personal_sign', 'eth_sign'].includes(remote.method)) {
+        report('remoteSigner.method', `unsupported method "${remote.method}"`);
+    }
+}
+
+// Checks the wallets file without decrypting or contacting anything: schema,
+// placeholder and malformed keys, address/key mismatches and duplicates.
+// Returns { wallets, issues } where every issue names the wallet and field.
+export async function validateWallets(file = WALLETS_FILE) {
+    const issues = [];
+    let entries;
+
+    try {
+        entries = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        const reason = error.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${error.message}`;
+        return { wallets: 0, issues: [{ wallet: null, field: null, message: `${file}: ${reason}` }] };
+    }
+
+    if (!Array.isArray(entries)) {
+        return { wallets: 0, issues: [{ wallet: null, field: null, message: `${file}: expected an array of wallets` }] };
+    }
+    if (entries.length === 0) {
+        return { wallets: 0, issues: [{ wallet: null, field: null, message: `${file}: no wallets configured` }] };
+    }
+
+    const seen = new Map();
+    for (const [i, entry] of entries.entries()) {
+        const report = (field, message) => issues.push({ wallet: i + 1, field, message });
+
+        if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+            report(null, 'entry must be an object');
+            continue;
+        }
+
+        const sources = ['privateKey', 'keystore', 'keystoreFile', 'remoteSigner'].filter(key => entry[key] !== undefined);
+        if (sources.length !== 1) {
+            report(null, sources.length === 0
+                ? 'needs one of "privateKey", "keystore", "keystoreFile" or "remoteSigner"'
+                : `only one key source allowed, found ${sources.join(', ')}`);
+            continue;
+        }
+
+        const address = checkAddress(entry, report);
+        let derived = null;
+        if (isRemote(entry)) {
+            checkRemoteSigner(entry.remoteSigner, report);
+            derived = address;
+        } else if (isEncrypted(entry)) {
+            derived = await deriveFromKeystore(entry, file, report);
+        } else {
+            derived = deriveFromPrivateKey(entry.privateKey, report);
+        }
+
+        if (entry.tasks !== undefined) {
+            validateTaskOverrides(entry.tasks).forEach(([field, message]) => report(field, message));
+        }
+
+        if (address && derived && address !== derived) {
+            report('address', `address ${address} does not match its key (${derived})`);
+        }
+
+        const identity = derived || address;
+        if (identity) {
+            if (seen.has(identity)) {
+                report(null, `duplicate of wallet #${seen.get(identity)} (${identity})`);
+            } else {
+                seen.set(identity, i + 1);
+            }
+        }
+    }
+
+    return { wallets: entries.length, issues };
+}
+
+export function logWalletIssues({ wallets, issues }, file = WALLETS_FILE) {
+    for (const issue of issues) {
+        const location = issue.wallet
+            ? `Wallet #${issue.wallet}${issue.field ? ` (${issue.field})` : ''}`
+            : file;
+        logger.error(location, issue.message);
+    }
+    logger.error('Wallet validation failed', `${issues.length} issue(s) across ${wallets} wallet(s)`);
+}
@@ -0,0 +1,55 @@
+import logger from './logger.js';
+
+const ADDRESS = '(0x[0-9a-fA-F]{40})';
+const MILLIS = '\\d{13}';
+const ISO_DATE = '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}\\.\\d{3}Z';
+
+// The only messages the bot is allowed to sign. Templates naming an address
+// must name the signer's own address.
+const TEMPLATES = [
+    { name: 'node activation', pattern: new RegExp(`^Node activation request for ${ADDRESS} at ${MILLIS}$`) },
+    { name: 'node deactivation', pattern: new RegExp(`^Node deactivation request for ${ADDRESS} at ${MILLIS}$`) },
+    { name: 'daily check-in', pattern: new RegExp(`^I am claiming my daily node point for ${ADDRESS} at ${MILLIS}$`) },
+    { name: 'proof submission', pattern: new RegExp(`^I am submitting a proof for LayerEdge at ${ISO_DATE}$`) },
+    { name: 'proof points claim', pattern: new RegExp(`^I am claiming my proof submission node points for ${ADDRESS} at ${MILLIS}$`) },
+    { name: 'light node points claim', pattern: new RegExp(`^I am claiming my light node run task node points for ${ADDRESS} at ${MILLIS}$`) }
+];
+
+// Not a LayerEdge message: only RemoteSigner.verify() signs it, to prove the
+// remote signer holds the key, and it is never sent anywhere
+const PROBE_TEMPLATE = { name: 'remote signer check', pattern: new RegExp(`^LayerEdge signer check for ${ADDRESS} at ${MILLIS}$`) };
+
+export class SigningPolicyError extends Error {
+    constructor(message, payload) {
+        super(message);
+        this.name = 'SigningPolicyError';
+        this.payload = payload;
+    }
+}
+
+function refuse(reason, address, message) {
+    const error = new SigningPolicyError(`Refused to sign for ${address}: ${reason}`, message);
+    logger.error('🚫 Signing policy violation', `${error.message} - payload: ${JSON.stringify(message)}`);
+    throw error;
+}
+
+// Throws SigningPolicyError unless `message` matches a known LayerEdge
+// template for `address`, or with `probe` the remote signer check. Returns
+// the matched template name.
+export function assertSignable(message, address, { probe = false } = {}) {
+    if (typeof message !== 'string') {
+        refuse('only text messages may be signed', address, message);
+    }
+
+    const template = (probe ? [PROBE_TEMPLATE] : TEMPLATES).find(({ pattern }) => pattern.test(message));
+    if (!template) {
+        refuse('message does not match any allowed template', address, message);
+    }
+
+    const [, named] = message.match(template.pattern);
+    if (named && named.toLowerCase() !== address.toLowerCase()) {
+        refuse(`${template.name} message names another address (${named})`, address, message);
+    }
+
+    return template.name;
+}
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import { writeJsonAtomic } from './json-file.js';
+
+const STATE_FILE = 'state.json';
+
+// Persistent per-wallet, per-task bookkeeping so the scheduler survives
+// restarts. Timestamps are stored as ISO strings to keep the file readable.
+// A `readOnly` store loads the file but never writes it back (dry runs).
+//
+// {
+//   "wallets": {
+//     "0xabc...": {
+//       "dailyCheckIn": { "lastAttempt", "lastSuccess", "nextEligible", "lastStatus" }
+//     }
+//   },
+//   "nodes": {
+//     "0xabc...": { "status", "since", "lastCheck", "upMs", "downMs", "restarts" }
+//   }
+// }
+export class StateStore {
+    constructor(file = STATE_FILE, { readOnly = false } = {}) {
+        this.file = file;
+        this.readOnly = readOnly;
+        this.data = { wallets: {} };
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+            this.data = { ...data, wallets: data.wallets || {} };
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new Error(`Failed to load ${this.file}: ${err.message}`);
+            }
+        }
+        return this;
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file behind.
+    // Writes are queued; the caller gets its own write's outcome, and a failed
+    // write does not stop the ones queued after it.
+    save() {
+        if (this.readOnly) return this.writing;
+        const write = this.writing.then(() => writeJsonAtomic(this.file, this.data));
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    task(address, task) {
+        const wallet = this.data.wallets[address] ??= {};
+        return wallet[task] ??= {};
+    }
+
+    // Node uptime bookkeeping kept by the node supervisor, next to the task state
+    node(address) {
+        const nodes = this.data.nodes ??= {};
+        return nodes[address] ??= { status: null, since: null, lastCheck: null, upMs: 0, downMs: 0, restarts: 0 };
+    }
+
+    nextEligible(address, task) {
+        const { nextEligible } = this.task(address, task);
+        return nextEligible ? new Date(nextEligible).getTime() : 0;
+    }
+
+    isDue(address, task, now = Date.now()) {
+        return this.nextEligible(address, task) <= now;
+    }
+
+    _record(address, task, status, nextEligible, now) {
+        const entry = this.task(address, task);
+        entry.lastAttempt = new Date(now).toISOString();
+        entry.lastStatus = status;
+        if (status === 'success') {
+            entry.lastSuccess = entry.lastAttempt;
+        }
+        entry.nextEligible = new Date(nextEligible).toISOString();
+    }
+
+    recordSuccess(address, task, nextEligible, now = Date.now()) {
+        this._record(address, task, 'success', nextEligible, now);
+    }
+
+    recordCooldown(address, task, nextEligible, now = Date.now()) {
+        this._record(address, task, 'cooldown', nextEligible, now);
+    }
+
+    recordFailure(address, task, nextEligible, now = Date.now()) {
+        this._record(address, task, 'failed', nextEligible, now);
+    }
+
+    recordBlocked(address, task, nextEligible, now = Date.now()) {
+        this._record(address, task, 'blocked', nextEligible, now);
+    }
+
+    recordDeferred(address, task, nextEligible, now = Date.now()) {
+        this._record(address, task, 'deferred', nextEligible, now);
+    }
+
+    // Marks a task as owed: it is due right away and runs even while shutting
+    // down, e.g. reconnecting a node the bot has just stopped.
+    recordPending(address, task, now = Date.now()) {
+        const entry = this.task(address, task);
+        entry.lastStatus = 'pending';
+        entry.nextEligible = new Date(now).toISOString();
+    }
+
+    isPending(address, task) {
+        return this.task(address, task).lastStatus === 'pending';
+    }
+}
@@ -0,0 +1,34 @@
+import { verifyAuditLog } from './utils/audit-log.js';
+import { loadConfig } from './utils/config.js';
+import logger from './utils/logger.js';
+import banner from './utils/banner.js';
+
+async function verifyAudit() {
+    console.log(banner);
+
+    try {
+        // An explicit path wins over files.audit
+        const config = await loadConfig();
+        logger.configure(config.log);
+        const file = process.argv[2] ?? config.files.audit;
+        logger.info('Verifying audit log', file);
+
+        const { entries, problems } = await verifyAuditLog(file);
+
+        if (problems.length === 0) {
+            logger.success('Audit log intact', `${entries} signature(s) verified`);
+            return;
+        }
+
+        for (const problem of problems) {
+            logger.error(`Line ${problem.line}`, problem.reason);
+        }
+        logger.error('Audit log verification failed', `${problems.length} problem(s) in ${entries} entries`);
+        process.exit(1);
+    } catch (error) {
+        logger.error('Failed to read audit log', error.message);
+        process.exit(1);
+    }
+}
+
+verifyAudit();